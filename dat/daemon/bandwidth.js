@@ -0,0 +1,116 @@
+const {Transform} = require('stream')
+const {ThrottleGroup} = require('stream-throttle')
+const {DAT_LOW_PRIORITY_BANDWIDTH_SHARE} = require('../../lib/const')
+
+// bandwidth limits of the replication streams
+// - the global up/down caps are shared by every archive of 'normal' priority
+// - 'low' priority archives share a smaller group, so they can't starve the rest
+// - 'high' priority archives aren't held to the global caps at all
+// - on top of that, an archive can have up/down caps of its own
+// all rates are in MB/s, and 0 or null means no cap
+// a connection is throttled by the archive it was opened for (the first one it replicates)
+
+// globals
+// =
+
+var globalGroups = {up: null, down: null}
+var lowPriorityGroups = {up: null, down: null}
+
+// exported api
+// =
+
+exports.setGlobalLimits = function ({up, down}) {
+  if (typeof up !== 'undefined') {
+    globalGroups.up = createGroup(up)
+    lowPriorityGroups.up = createGroup(up * DAT_LOW_PRIORITY_BANDWIDTH_SHARE)
+  }
+  if (typeof down !== 'undefined') {
+    globalGroups.down = createGroup(down)
+    lowPriorityGroups.down = createGroup(down * DAT_LOW_PRIORITY_BANDWIDTH_SHARE)
+  }
+}
+
+// is a global cap set?
+exports.hasGlobalLimits = function () {
+  return !!(globalGroups.up || globalGroups.down)
+}
+
+// apply an archive's user settings
+exports.configureArchive = function (archive, userSettings) {
+  var old = archive.bandwidthSettings
+  var {bandwidthLimitUp, bandwidthLimitDown, bandwidthPriority} = userSettings || {}
+  archive.bandwidthSettings = {
+    up: bandwidthLimitUp > 0 ? bandwidthLimitUp : 0,
+    down: bandwidthLimitDown > 0 ? bandwidthLimitDown : 0,
+    priority: bandwidthPriority || 'normal'
+  }
+
+  // only replace the groups that changed, so their buckets aren't refilled needlessly
+  archive.throttleGroups = archive.throttleGroups || {up: null, down: null}
+  for (let direction of ['up', 'down']) {
+    if (!old || old[direction] !== archive.bandwidthSettings[direction]) {
+      archive.throttleGroups[direction] = createGroup(archive.bandwidthSettings[direction])
+    }
+  }
+}
+
+// create the throttle for one direction of a connection
+// - the limits are looked up as the data passes, so they follow setting changes and the archive the connection picks up
+// - stream: the replication stream, whose `archive` is set by createReplicationStream()
+// - direction: 'up' | 'down'
+exports.createThrottle = function (stream, direction) {
+  return new Transform({
+    transform (chunk, encoding, done) {
+      var groups = getGroups(stream.archive, direction)
+      if (!groups.length) {
+        return done(null, chunk)
+      }
+      var chunksize = Math.max(1, Math.floor(Math.min(...groups.map(g => g.chunksize))))
+      consume(this, chunk, 0, groups, chunksize, done)
+    }
+  })
+}
+
+// internal methods
+// =
+
+function createGroup (rate) {
+  return rate > 0 ? new ThrottleGroup({rate: rate * 1e6}) : null
+}
+
+function getGroups (archive, direction) {
+  var settings = (archive && archive.bandwidthSettings) || {priority: 'normal'}
+  var groups = []
+  if (settings.priority === 'low') {
+    groups.push(lowPriorityGroups[direction])
+  } else if (settings.priority !== 'high') {
+    groups.push(globalGroups[direction])
+  }
+  if (archive && archive.throttleGroups) {
+    groups.push(archive.throttleGroups[direction])
+  }
+  return groups.filter(Boolean)
+}
+
+// push the chunk through in slices, taking the tokens for each slice from every group
+function consume (throttle, chunk, pos, groups, chunksize, done) {
+  var slice = chunk.slice(pos, pos + chunksize)
+  if (!slice.length) {
+    return done()
+  }
+  removeTokens(groups, slice.length, err => {
+    if (err) return done(err)
+    throttle.push(slice)
+    consume(throttle, chunk, pos + chunksize, groups, chunksize, done)
+  })
+}
+
+function removeTokens (groups, count, cb) {
+  if (!groups.length) {
+    return cb()
+  }
+  groups[0].bucket.removeTokens(count, err => {
+    if (err) return cb(err)
+    removeTokens(groups.slice(1), count, cb)
+  })
+}
@@ -1,15 +1,16 @@
 const bytes = require('bytes')
-const dft = require('diff-file-tree')
 const diff = require('diff')
-const anymatch = require('anymatch')
 const fs = require('fs')
 const path = require('path')
 const EventEmitter = require('events')
 const pda = require('pauls-dat-api')
 const mkdirp = require('mkdirp')
-const {toAnymatchRules} = require('@beaker/datignore')
+const pify = require('pify')
 const {isFileNameBinary, isFileContentBinary} = require('../../lib/mime')
+const datignore = require('../../lib/datignore')
 const lock = require('../../lib/lock')
+const symlinks = require('../../lib/symlinks')
+const debug = require('../../lib/debug-logger').debugLogger('dat-folder-sync')
 const scopedFSes = require('../../lib/scoped-fses')
 const {
   NotFoundError,
@@ -43,6 +44,8 @@ exports.setup = function (opts) {
 //   - paths: Array<string>, a whitelist of files to compare
 //   - localSyncPath: string, override the archive localSyncPath
 //   - addOnly: bool, dont modify or remove any files (default false)
+//   - dryRun: bool, return the changes without applying them (default false)
+//   - allowEscapingLinks: bool, copy symlinks which point outside of the folder/archive (default false)
 const syncArchiveToFolder = exports.syncArchiveToFolder = function (archive, opts = {}) {
   opts = opts || {}
   return sync(archive, false, opts)
@@ -55,6 +58,8 @@ const syncArchiveToFolder = exports.syncArchiveToFolder = function (archive, opt
 //   - paths: Array<string>, a whitelist of files to compare
 //   - localSyncPath: string, override the archive localSyncPath
 //   - addOnly: bool, dont modify or remove any files (default false)
+//   - dryRun: bool, return the changes without applying them (default false)
+//   - allowEscapingLinks: bool, copy symlinks which point outside of the folder/archive (default false)
 const syncFolderToArchive = exports.syncFolderToArchive = function (archive, opts = {}) {
   opts = opts || {}
   if (!archive.writable) throw new ArchiveNotWritableError()
@@ -76,16 +81,16 @@ const ensureSyncFinished = exports.ensureSyncFinished = async function (archive)
 // - debounces the sync event with a 500ms timeout
 // - call with toFolder: true to sync from archive->folder
 // - call with toArchive: true to sync from folder->archive
-// - if both toFolder && toArchive are queued, toArchive wins (local folder wins)
-// - this *will* result in lost changes in the archive if simultaneous changes happen in the local folder,
-//   but it creates very deterministic results
+// - once the folder has been synced, this is a three-way merge in both directions (see mergeSync())
+// - before the first sync, if both toFolder && toArchive are queued, toArchive wins (local folder wins)
 const queueSyncEvent = exports.queueSyncEvent = function (archive, {toFolder, toArchive}) {
   if (!archive.syncEventQueue) {
     archive.syncEventQueue = newQueueObj()
   }
 
-  // ignore if currently syncing
+  // ignore if currently syncing or paused
   if (archive.syncEventQueue.isSyncing) return console.log('already syncing, ignored')
+  if (archive.localSyncSettings && archive.localSyncSettings.isPaused) return
 
   // debounce the handler
   if (archive.syncEventQueue.timeout) {
@@ -112,8 +117,9 @@ const queueSyncEvent = exports.queueSyncEvent = function (archive, {toFolder, to
         console.error('Local sync folder not found, aborting watch', localSyncPath)
         return
       }
-      // sync with priority given to the local folder
-      if (toArchive) await syncFolderToArchive(archive, {localSyncPath, shallow: false})
+      if (hasSyncBase(archive, localSyncPath)) await mergeSync(archive, {localSyncPath})
+      // no base to merge with yet, sync with priority given to the local folder
+      else if (toArchive) await syncFolderToArchive(archive, {localSyncPath, shallow: false})
       else if (toFolder) await syncArchiveToFolder(archive, {localSyncPath, shallow: false})
     } catch (e) {
       console.error('Error syncing folder', localSyncPath, e)
@@ -159,14 +165,14 @@ exports.configureFolderToArchiveWatcher = async function (archive) {
       archive.syncEventQueue = null
     }
   }
-  if (archive.stopWatchingDatIgnore) {
-    archive.stopWatchingDatIgnore()
-    archive.stopWatchingDatIgnore = null
-  }
 
   // start a new watch
   // =
 
+  if (archive.localSyncSettings && archive.localSyncSettings.isPaused) {
+    // paused, the folder and archive are merged on resume
+    return
+  }
   if (archive.localSyncSettings) {
     // create diff cache
     archive._compareContentCache = {}
@@ -184,14 +190,15 @@ exports.configureFolderToArchiveWatcher = async function (archive) {
     }
     var scopedFS = scopedFSes.get(archive.localSyncSettings.path)
 
-    // track datignore rules
-    readDatIgnore(scopedFS).then(rules => { archive.datIgnoreRules = rules })
-    archive.stopWatchingDatIgnore = scopedFS.watch('/.datignore', async () => {
-      archive.datIgnoreRules = await readDatIgnore(scopedFS)
-    })
+    // track datignore rules (from every .datignore in the folder)
+    const reloadDatIgnore = () => readDatIgnore(scopedFS)
+      .then(rules => { archive.datIgnoreRules = rules })
+      .catch(err => console.error('Failed to read the .datignore files', archive.localSyncSettings.path, err))
+    reloadDatIgnore()
 
-    if (!archive.localSyncSettings.autoPublish) {
-      // no need to setup watcher
+    var autoPublish = archive.localSyncSettings.autoPublish
+    if (!autoPublish) {
+      // no need to sync changes
       // just do an add-only sync from archive->folder
       await sync(archive, false, {shallow: false, addOnly: true})
       if (shouldAbort()) return
@@ -203,21 +210,23 @@ exports.configureFolderToArchiveWatcher = async function (archive) {
         console.error('Failed to merge local sync folder', e)
       }
       if (shouldAbort()) return
-
-      // start watching
-      archive.stopWatchingLocalFolder = scopedFS.watch('/', path => {
-        // TODO
-        // it would be possible to make this more efficient by ignoring changes that match .datignore
-        // but you need to make sure you have the latest .datignore and reading that on every change-event isnt efficient
-        // so you either need to:
-        //  A. queue up all the changed paths, then read the datignore inside the timeout and filter, if filteredList.length === 0 then abort
-        //  B. maintain an in-memory copy of the datignore and keep it up-to-date, and then check at time of the event
-        // -prf
-
-        console.log('changed detected', path)
-        queueSyncEvent(archive, {toArchive: true})
-      })
     }
+
+    // start watching
+    // (a change to a .datignore reloads the rules, and also queues a sync so the new rules get applied)
+    archive.stopWatchingLocalFolder = scopedFS.watch('/', changedPath => {
+      if (path.basename(changedPath) === '.datignore') reloadDatIgnore()
+      if (!autoPublish) return
+
+      // TODO
+      // it would be possible to make this more efficient by ignoring changes that match .datignore
+      // using archive.datIgnoreRules, which is kept up-to-date, but it's reloaded asynchronously
+      // so you need to make sure it isn't behind the change-event
+      // -prf
+
+      console.log('changed detected', changedPath)
+      queueSyncEvent(archive, {toArchive: true})
+    })
   } else {
     // clear diff cache
     archive._compareContentCache = {}
@@ -241,13 +250,12 @@ exports.diffListing = async function (archive, opts = {}) {
   if (opts.paths) {
     opts.filter = makeDiffFilterByPaths(opts.paths)
   } else {
-    const ignoreRules = await readDatIgnore(scopedFS)
-    opts.filter = (filepath) => anymatch(ignoreRules, filepath)
+    opts.filter = makeIgnoreFilter(await readDatIgnore(scopedFS), getConflictFilePaths(archive, localSyncPath))
   }
 
   // run diff
   opts.compareContentCache = archive._compareContentCache
-  return dft.diff({fs: scopedFS}, {fs: archive}, opts)
+  return symlinks.diff({fs: symlinks.createFolderFS(scopedFS)}, {fs: archive}, opts)
 }
 
 // diff an individual file
@@ -310,23 +318,71 @@ exports.assertSafePath = async function (p) {
   }
 }
 
-// read a datignore from a fs space and turn it into anymatch rules
+// read the datignores (the root's and the nested ones) from a fs space, see lib/datignore.js
 const readDatIgnore = exports.readDatIgnore = async function (fs) {
-  var rulesRaw = await readFile(fs, '.datignore')
-  return toAnymatchRules(rulesRaw)
+  return datignore.load(fs)
 }
 
 // filter function used by scoped-fs to hide files in the datignore
 exports.applyDatIgnoreFilter = function (archive, filepath) {
-  const datIgnoreRules = archive.datIgnoreRules || toAnymatchRules('')
-  var filepaths = explodeFilePaths(filepath) // we need to check parent paths in addition to the target path
-  var res = filepaths.filter(p => anymatch(datIgnoreRules, p)).length === 0
-  return res
+  const datIgnoreRules = archive.datIgnoreRules || datignore.BUILTIN_RULES
+  return !datignore.explain(datIgnoreRules, filepath).ignored // (checks parent paths in addition to the target path)
+}
+
+// explain why a path in the local folder is or isn't synced
+// - returns {ignored, path, reason, rule}
+//   - path: the path which matched, which can be a parent folder
+//   - reason: 'datignore' | 'builtin' | 'conflict-file' | null
+//   - rule: {file, line, pattern}, the .datignore rule which decided, or null
+exports.explainIgnore = async function (archive, filepath) {
+  if (!archive.localSyncSettings) throw new Error('explainIgnore() aborting, no localSyncPath')
+  var scopedFS = scopedFSes.get(archive.localSyncSettings.path)
+  filepath = path.normalize(path.join('/', filepath))
+  if (getConflictFilePaths(archive, archive.localSyncSettings.path).includes(filepath)) {
+    return {ignored: true, path: filepath, reason: 'conflict-file', rule: null}
+  }
+  var st = await stat(scopedFS, filepath)
+  return datignore.explain(await readDatIgnore(scopedFS), filepath, st ? st.isDirectory() : undefined)
+}
+
+// list the unresolved sync conflicts
+// - returns [{path, conflictPath, version, detectedAt, folderChange, archiveChange}]
+//   - conflictPath: the archive's copy in the folder, null if the archive deleted the file
+//   - version: the archive version when the conflict was found
+//   - folderChange, archiveChange: 'add' | 'mod' | 'del', how each side changed the file since the last sync
+exports.listConflicts = function (archive) {
+  if (!archive.localSyncSettings) return []
+  return getSyncState(archive, archive.localSyncSettings.path).conflicts
+}
+
+// resolve a sync conflict by copying one side over the other
+// - keep: 'folder' | 'archive'
+exports.resolveConflict = async function (archive, filepath, keep) {
+  if (!archive.localSyncSettings) throw new Error('resolveConflict() aborting, no localSyncPath')
+  if (keep !== 'folder' && keep !== 'archive') {
+    throw new Error('Invalid resolution: must be "folder" or "archive"')
+  }
+  var localSyncPath = archive.localSyncSettings.path
+  filepath = path.normalize(path.join('/', filepath))
+  var conflict = getSyncState(archive, localSyncPath).conflicts.find(c => c.path === filepath)
+  if (!conflict) {
+    throw new NotFoundError(`No sync conflict found for ${filepath}`)
+  }
+
+  // copy (sync() drops the conflict and removes the archive's copy)
+  if (keep === 'folder') await syncFolderToArchive(archive, {localSyncPath, paths: [filepath], shallow: false})
+  else await syncArchiveToFolder(archive, {localSyncPath, paths: [filepath], shallow: false})
 }
 
 // merge the dat.json in the folder and then merge files, with preference to folder files
+// (once the folder has been synced, this is a three-way merge instead, see mergeSync())
 const mergeArchiveAndFolder = exports.mergeArchiveAndFolder = async function (archive, localSyncPath) {
   console.log('merging archive with', localSyncPath)
+  if (hasSyncBase(archive, localSyncPath)) {
+    await mergeSync(archive, {localSyncPath})
+    events.emit('merge:' + archive.key.toString('hex'), archive.key)
+    return
+  }
   const readManifest = async (fs) => {
     try { return await pda.readManifest(fs) } catch (e) { return {} }
   }
@@ -352,6 +408,9 @@ const mergeArchiveAndFolder = exports.mergeArchiveAndFolder = async function (ar
 //   - paths: Array<string>, a whitelist of files to compare
 //   - localSyncPath: string, override the archive localSyncPath
 //   - addOnly: bool, dont modify or remove any files (default false)
+//   - dryRun: bool, return the changes without applying them (default false)
+//   - allowEscapingLinks: bool, copy symlinks which point outside of the folder/archive (default false)
+// - returns the changes, [{change, type, path}], if dryRun
 async function sync (archive, toArchive, opts = {}) {
   opts = opts || {}
   var localSyncPath = opts.localSyncPath || (archive.localSyncSettings && archive.localSyncSettings.path)
@@ -359,6 +418,7 @@ async function sync (archive, toArchive, opts = {}) {
 
   archive._activeSyncs = (archive._activeSyncs || 0) + 1
   var release = await getArchiveSyncLock(archive)
+  var run = newRun(toArchive ? 'archive' : 'folder')
   try {
     var scopedFS = scopedFSes.get(localSyncPath)
     opts = massageDiffOpts(opts)
@@ -367,27 +427,49 @@ async function sync (archive, toArchive, opts = {}) {
     if (opts.paths) {
       opts.filter = makeDiffFilterByPaths(opts.paths)
     } else {
-      let ignoreRules = await readDatIgnore(scopedFS)
-      opts.filter = (filepath) => anymatch(ignoreRules, filepath)
+      opts.filter = makeIgnoreFilter(await readDatIgnore(scopedFS), getConflictFilePaths(archive, localSyncPath))
     }
 
     // choose direction
-    var left = toArchive ? {fs: scopedFS} : {fs: archive}
-    var right = toArchive ? {fs: archive} : {fs: scopedFS}
+    var folderFS = symlinks.createFolderFS(scopedFS)
+    var left = toArchive ? {fs: folderFS} : {fs: archive}
+    var right = toArchive ? {fs: archive} : {fs: folderFS}
 
     // run diff
     opts.compareContentCache = archive._compareContentCache
-    var diff = await dft.diff(left, right, opts)
+    var diff = await symlinks.diff(left, right, opts)
     if (opts.addOnly) {
       diff = diff.filter(d => d.change === 'add')
     }
+    if (opts.dryRun) {
+      archive._activeSyncs--
+      return diff
+    }
     console.log('syncing to', toArchive ? 'archive' : 'folder', diff) // DEBUG
 
     // sync data
-    await dft.applyRight(left, right, diff)
+    run.refusedLinks = await applyChanges(left.fs, right.fs, diff, opts)
+    run.files = toRunFiles(diff, toArchive ? 'archive' : 'folder').filter(f => !run.refusedLinks.includes(f.path))
+    run.bytes = await countBytes(archive, scopedFS, run.files)
     events.emit('sync', archive.key, toArchive ? 'archive' : 'folder')
     events.emit('sync:' + archive.key.toString('hex'), archive.key, toArchive ? 'archive' : 'folder')
 
+    // the synced paths match now, so they're no longer in conflict
+    if (!opts.addOnly) {
+      let state = getSyncState(archive, localSyncPath)
+      let resolved
+      if (!opts.paths) {
+        state.version = archive.version // a full sync, so this is the new base
+        resolved = state.conflicts
+        state.conflicts = []
+      } else {
+        resolved = state.conflicts.filter(c => !opts.filter(c.path))
+        state.conflicts = state.conflicts.filter(c => opts.filter(c.path))
+      }
+      await removeConflictFiles(scopedFS, resolved)
+      events.emit('state', archive.key, state)
+    }
+
     // decrement active syncs
     archive._activeSyncs--
   } catch (err) {
@@ -395,9 +477,168 @@ async function sync (archive, toArchive, opts = {}) {
     console.error('- Archive:', archive.key.toString('hex'))
     console.error('- Path:', localSyncPath)
     console.error('- Error:', err)
+    if (opts.dryRun) throw err
+    run.error = err.message || String(err)
+  } finally {
+    release()
+    finishRun(archive, run)
+  }
+}
+
+// three-way sync of the folder and the archive, using the archive version of the last sync as the base
+// - a change made on one side since the base is copied to the other side
+// - a file changed on both sides is a conflict, and is left alone on both sides until it's resolved
+//   (the archive's copy is written into the folder as name.conflict-<version>.ext)
+// - opts
+//   - localSyncPath: string, override the archive localSyncPath
+//   - allowEscapingLinks: bool, copy symlinks which point outside of the folder/archive (default false)
+async function mergeSync (archive, opts = {}) {
+  var localSyncPath = opts.localSyncPath || (archive.localSyncSettings && archive.localSyncSettings.path)
+  if (!localSyncPath) return console.log(new Error('mergeSync() aborting, no localSyncPath')) // sanity check
+
+  archive._activeSyncs = (archive._activeSyncs || 0) + 1
+  var release = await getArchiveSyncLock(archive)
+  var run = newRun('merge')
+  try {
+    var scopedFS = scopedFSes.get(localSyncPath)
+    var state = getSyncState(archive, localSyncPath)
+    var folder = {fs: symlinks.createFolderFS(scopedFS)}
+    var diffOpts = massageDiffOpts({shallow: false, allowEscapingLinks: opts.allowEscapingLinks})
+    diffOpts.filter = makeIgnoreFilter(await readDatIgnore(scopedFS), getConflictFilePaths(archive, localSyncPath))
+
+    // find the paths which differ
+    var current = await symlinks.diff(folder, {fs: archive}, Object.assign({compareContentCache: archive._compareContentCache}, diffOpts))
+    var currentPaths = new Set(current.map(d => d.path))
+    var conflicts = state.conflicts.filter(c => currentPaths.has(c.path)) // the rest were resolved by hand
+    var resolvedConflicts = state.conflicts.filter(c => !currentPaths.has(c.path))
+    var newConflicts = []
+    var toArchive = []
+    var toFolder = []
+    if (current.length) {
+      // find which side changed each of them since the base
+      let base = {fs: archive.checkout(state.version)}
+      let pathsFilter = makeDiffFilterByPaths(Array.from(currentPaths))
+      let baseOpts = Object.assign({}, diffOpts, {filter: p => diffOpts.filter(p) || pathsFilter(p)})
+      let [folderChanges, archiveChanges] = await Promise.all([
+        symlinks.diff(folder, base, baseOpts),
+        symlinks.diff({fs: archive}, base, baseOpts)
+      ])
+      let folderChangesByPath = toChangesByPath(folderChanges)
+      let archiveChangesByPath = toChangesByPath(archiveChanges)
+
+      // files changed on both sides are conflicts
+      for (let d of current) {
+        let folderChange = folderChangesByPath[d.path]
+        let archiveChange = archiveChangesByPath[d.path]
+        if (d.type === 'file' && folderChange && archiveChange && !conflicts.find(c => c.path === d.path)) {
+          newConflicts.push({path: d.path, conflictPath: null, version: archive.version, detectedAt: Date.now(), folderChange, archiveChange})
+        }
+      }
+      conflicts = conflicts.concat(newConflicts)
+
+      // everything else goes to the side which didn't change it
+      for (let d of current) {
+        let toFolderSide = archiveChangesByPath[d.path] && !folderChangesByPath[d.path]
+        let removesDir = d.type === 'dir' && d.change === (toFolderSide ? 'add' : 'del')
+        if (conflicts.find(c => c.path === d.path || (removesDir && c.path.startsWith(d.path + '/')))) {
+          continue // held back
+        }
+        if (toFolderSide) toFolder.push(d)
+        else toArchive.push(d)
+      }
+    }
+    debug('Merging', localSyncPath, {toArchive: toArchive.length, toFolder: toFolder.length, newConflicts: newConflicts.map(c => c.path)})
+
+    // sync data
+    if (toArchive.length) run.refusedLinks = await applyChanges(folder.fs, archive, toArchive, diffOpts)
+    if (toFolder.length) run.refusedLinks = run.refusedLinks.concat(await applyChanges(archive, folder.fs, reverseChanges(toFolder), diffOpts))
+    run.files = toRunFiles(toArchive, 'archive').concat(toRunFiles(toFolder, 'folder', true)).filter(f => !run.refusedLinks.includes(f.path))
+    run.conflicts = newConflicts.map(c => c.path)
+    run.bytes = await countBytes(archive, scopedFS, run.files)
+    for (let conflict of newConflicts) {
+      if (conflict.archiveChange !== 'del') {
+        conflict.conflictPath = await toConflictPath(scopedFS, conflict.path, conflict.version)
+        await copyFile(archive, scopedFS, conflict.path, conflict.conflictPath)
+      }
+    }
+    if (toArchive.length) {
+      events.emit('sync', archive.key, 'archive')
+      events.emit('sync:' + archive.key.toString('hex'), archive.key, 'archive')
+    }
+    if (toFolder.length) {
+      events.emit('sync', archive.key, 'folder')
+      events.emit('sync:' + archive.key.toString('hex'), archive.key, 'folder')
+    }
+    if (newConflicts.length) {
+      events.emit('conflict', archive.key, newConflicts)
+    }
+
+    // both sides match now (except for the conflicts), so this is the new base
+    await removeConflictFiles(scopedFS, resolvedConflicts)
+    state.version = archive.version
+    state.conflicts = conflicts
+    events.emit('state', archive.key, state)
+  } catch (err) {
+    run.error = err.message || String(err)
+    throw err
   } finally {
+    archive._activeSyncs--
     release()
+    finishRun(archive, run)
+  }
+}
+
+// get the sync state of the archive, which is restored by the daemon from the archive's settings
+// - {path, version, conflicts}
+//   - version: the archive version of the last sync, the base of the three-way merge (0 = none)
+// - resets if the folder changed, or if the archive doesn't have the version (eg it was recreated)
+function getSyncState (archive, localSyncPath) {
+  var state = archive.localSyncState
+  if (!state || state.path !== localSyncPath || state.version > archive.version) {
+    state = archive.localSyncState = {path: localSyncPath, version: 0, conflicts: []}
+  }
+  return state
+}
+
+function hasSyncBase (archive, localSyncPath) {
+  return getSyncState(archive, localSyncPath).version > 0
+}
+
+// sync runs, which are emitted as 'journal' events for the sync journal
+// - {direction, startedAt, endedAt, files, conflicts, refusedLinks, bytes, version, error}
+//   - files: [{path, change, to}], where change is 'add' | 'mod' | 'del', and to is 'archive' | 'folder'
+//   - refusedLinks: [path], the symlinks which weren't synced because they point outside of the folder/archive
+function newRun (direction) {
+  return {direction, startedAt: Date.now(), endedAt: 0, files: [], conflicts: [], refusedLinks: [], bytes: 0, version: 0, error: null}
+}
+
+function finishRun (archive, run) {
+  if (!run.files.length && !run.conflicts.length && !run.refusedLinks.length && !run.error) {
+    return // nothing happened, dont journal
+  }
+  run.endedAt = Date.now()
+  run.version = archive.version
+  events.emit('journal', archive.key, run)
+}
+
+// - changes: the output of symlinks.diff()
+// - isReversed: the changes were applied in reverse (see reverseChanges())
+function toRunFiles (changes, to, isReversed = false) {
+  const reverse = {add: 'del', mod: 'mod', del: 'add'}
+  return changes
+    .filter(d => d.type === 'file')
+    .map(d => ({path: d.path, change: isReversed ? reverse[d.change] : d.change, to}))
+}
+
+// total size of the written files
+async function countBytes (archive, scopedFS, files) {
+  var bytes = 0
+  for (let file of files) {
+    if (file.change === 'del') continue
+    let st = await stat(file.to === 'archive' ? archive : scopedFS, file.path)
+    if (st) bytes += st.size
   }
+  return bytes
 }
 
 function getArchiveSyncLock (archive) {
@@ -426,12 +667,99 @@ function makeDiffFilterByPaths (targetPaths) {
   }
 }
 
+// ignore the datignore'd files and the conflict files
+// - conflictFilePaths: the conflict files written for the unresolved conflicts, see getConflictFilePaths()
+function makeIgnoreFilter (ignoreRules, conflictFilePaths = []) {
+  conflictFilePaths = new Set(conflictFilePaths)
+  return (filepath) => datignore.isIgnored(ignoreRules, filepath) || conflictFilePaths.has(filepath)
+}
+
+// the conflict files which were written for the unresolved conflicts
+// (they're removed when their conflict is resolved, see removeConflictFiles())
+function getConflictFilePaths (archive, localSyncPath) {
+  return getSyncState(archive, localSyncPath).conflicts.map(c => c.conflictPath).filter(Boolean)
+}
+
+// remove the conflict files of the resolved conflicts from the folder
+// (so that the next sync doesn't publish them as new files)
+async function removeConflictFiles (scopedFS, conflicts) {
+  for (let conflict of conflicts) {
+    if (conflict.conflictPath) {
+      await new Promise(resolve => scopedFS.unlink(conflict.conflictPath, () => resolve()))
+    }
+  }
+}
+
+// - returns {[path]: 'add' | 'mod' | 'del'}
+function toChangesByPath (changes) {
+  var changesByPath = {}
+  changes.forEach(d => { changesByPath[d.path] = d.change })
+  return changesByPath
+}
+
+// helper to go from '/foo/bar.txt' to '/foo/bar.conflict-<version>.txt'
+// (or '/foo/bar.conflict-<version>-2.txt' and so on, if there's already a file at that path)
+async function toConflictPath (scopedFS, filepath, version) {
+  var ext = path.extname(filepath)
+  var base = `${filepath.slice(0, filepath.length - ext.length)}.conflict-${version}`
+  var conflictPath = base + ext
+  for (let i = 2; await stat(scopedFS, conflictPath); i++) {
+    conflictPath = `${base}-${i}${ext}`
+  }
+  return conflictPath
+}
+
+// apply the output of symlinks.diff() to the dst, like dft.applyRight()
+// but symlinks and file modes are kept (see lib/symlinks)
+// - opts.allowEscapingLinks: bool, copy symlinks which point outside of the folder/archive
+// - returns the paths of the symlinks which were refused
+async function applyChanges (srcFS, dstFS, changes, opts = {}) {
+  var copies = []
+  var refusedLinks = []
+  for (let d of changes) {
+    let op = d.change + d.type
+    if (op === 'adddir') await pify(dstFS.mkdir.bind(dstFS))(d.path)
+    if (op === 'deldir') await pify(dstFS.rmdir.bind(dstFS))(d.path)
+    if (op === 'delfile') await pify(dstFS.unlink.bind(dstFS))(d.path)
+    if (op === 'addfile' || op === 'modfile') {
+      copies.push(symlinks.copyEntry(srcFS, d.path, dstFS, d.path, opts).then(isCopied => {
+        if (!isCopied) refusedLinks.push(d.path)
+      }))
+    }
+  }
+  await Promise.all(copies)
+  if (refusedLinks.length) debug('Refused to sync symlinks which point outside of the folder', refusedLinks)
+  return refusedLinks
+}
+
+// turn the changes from a diff of (left, right) into the changes which make left match right
+// (so that applying them from right to left works like dft.applyLeft())
+function reverseChanges (changes) {
+  const reverse = {add: 'del', mod: 'mod', del: 'add'}
+  return changes.slice().reverse().map(d => Object.assign({}, d, {change: reverse[d.change]}))
+}
+
+// helper to copy a file between two fs spaces
+function copyFile (srcFS, dstFS, srcPath, dstPath) {
+  return new Promise((resolve, reject) => {
+    srcFS.readFile(srcPath, (err, data) => {
+      if (err) return reject(err)
+      dstFS.writeFile(dstPath, data, err => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
+  })
+}
+
 function massageDiffOpts (opts) {
   return {
     compareContent: typeof opts.compareContent === 'boolean' ? opts.compareContent : true,
     shallow: typeof opts.shallow === 'boolean' ? opts.shallow : true,
     paths: Array.isArray(opts.paths) ? opts.paths.filter(v => typeof v === 'string') : false,
-    addOnly: typeof opts.addOnly === 'boolean' ? opts.addOnly : false
+    addOnly: typeof opts.addOnly === 'boolean' ? opts.addOnly : false,
+    dryRun: typeof opts.dryRun === 'boolean' ? opts.dryRun : false,
+    allowEscapingLinks: typeof opts.allowEscapingLinks === 'boolean' ? opts.allowEscapingLinks : false
   }
 }
 
@@ -452,14 +780,3 @@ async function readFile (fs, filepath) {
     })
   })
 }
-
-// helper to go from '/foo/bar/baz' to ['/', '/foo', '/foo/bar', '/foo/bar/baz']
-function explodeFilePaths (str) {
-  str = str.replace(/^\/|\/$/g, '') // strip leading and trailing slashes
-  var paths = str.split('/')
-  let lastPath = ''
-  for (let i = 0; i < paths.length; i++) {
-    lastPath = paths[i] = `${lastPath}/${paths[i]}`
-  }
-  return paths
-}
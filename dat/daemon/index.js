@@ -21,14 +21,17 @@ const datEncoding = require('dat-encoding')
 const swarmDefaults = require('datland-swarm-defaults')
 const discoverySwarm = require('discovery-swarm')
 const networkSpeed = require('hyperdrive-network-speed')
-const {ThrottleGroup} = require('stream-throttle')
 
 const datStorage = require('./storage')
 const folderSync = require('./folder-sync')
+const integrity = require('./integrity')
+const bandwidth = require('./bandwidth')
+const peerFilters = require('./peer-filters')
 const {addArchiveSwarmLogging} = require('./logging-utils')
 const datExtensions = require('./extensions')
 const scopedFSes = require('../../lib/scoped-fses')
-const {DAT_SWARM_PORT} = require('../../lib/const')
+const {safeNormalizeSchedule, isSeedingAllowed} = require('../../lib/seed-schedule')
+const {DAT_SWARM_PORT, DAT_SEED_SCHEDULE_CHECK_INTERVAL, DAT_IN_USE_TIMEOUT} = require('../../lib/const')
 const RPC_MANIFEST = require('./manifest')
 
 // globals
@@ -43,9 +46,8 @@ var daemonEvents = new EventEmitter()
 var debugEvents = new EventEmitter()
 var debugLogFile
 var archiveSwarm
-
-var upThrottleGroup
-var downThrottleGroup
+var globalSeedSchedule = null
+var archiveUseTimes = {} // key -> when the archive was last used, eg by a tab (ms)
 
 // exported api
 // =
@@ -70,6 +72,30 @@ exports.setup = async function ({rpcAPI, logfilePath}) {
       }
     })
   })
+  folderSync.events.on('conflict', (key, conflicts) => {
+    daemonEvents.emit('folder-sync-conflict', {
+      details: {
+        url: `dat://${datEncoding.toStr(key)}`,
+        conflicts
+      }
+    })
+  })
+  folderSync.events.on('state', (key, state) => {
+    daemonEvents.emit('folder-sync-state', {
+      details: {
+        url: `dat://${datEncoding.toStr(key)}`,
+        state
+      }
+    })
+  })
+  folderSync.events.on('journal', (key, run) => {
+    daemonEvents.emit('folder-sync-journal', {
+      details: {
+        url: `dat://${datEncoding.toStr(key)}`,
+        run
+      }
+    })
+  })
   folderSync.events.on('error', (key, err) => {
     daemonEvents.emit('folder-sync-error', {
       details: {
@@ -94,6 +120,9 @@ exports.setup = async function ({rpcAPI, logfilePath}) {
   archiveSwarm.once('error', () => archiveSwarm.listen(0))
   archiveSwarm.listen(DAT_SWARM_PORT)
   archiveSwarm.on('error', error => log(null, {event: 'swarm-error', message: error.toString()}))
+
+  // open and close the seeding windows
+  setInterval(applySeedSchedules, DAT_SEED_SCHEDULE_CHECK_INTERVAL).unref()
 }
 
 // rpc api
@@ -110,12 +139,22 @@ const RPC_API = {
 
   // up/down are in MB/s
   async setBandwidthThrottle ({up, down}) {
-    if (typeof up !== 'undefined') {
-      upThrottleGroup = up ? new ThrottleGroup({rate: up * 1e6}) : null
-    }
-    if (typeof down !== 'undefined') {
-      downThrottleGroup = down ? new ThrottleGroup({rate: down * 1e6}) : null
-    }
+    bandwidth.setGlobalLimits({up, down})
+    applySeedSchedules() // in case a schedule only seeds while unthrottled
+  },
+
+  // the schedule of the saved archives which have none of their own
+  // - schedule is an object or json string (see lib/seed-schedule.js), or null to seed at any time
+  async setSeedSchedule (schedule) {
+    globalSeedSchedule = safeNormalizeSchedule(schedule)
+    applySeedSchedules()
+  },
+
+  // key is an archive key, or '*' for the global filters
+  // filters is {lanOnly, allow, deny}, or null to remove them
+  async setPeerFilters (key, filters) {
+    peerFilters.setFilters(key, filters)
+    applyPeerFilters()
   },
 
   // event streams & debug
@@ -148,12 +187,24 @@ const RPC_API = {
   // archive management
   // =
 
+  // keep the archive in the swarm, even outside of its seeding windows, while it's in use (eg by a tab)
+  // (can be called before the archive is loaded, so that the load joins the swarm)
+  async markArchiveInUse (key) {
+    key = datEncoding.toStr(key)
+    archiveUseTimes[key] = Date.now()
+    var archive = archives[key] || Object.values(archivesByDKey).find(a => datEncoding.toStr(a.key) === key)
+    if (archive && archive.isNetworked) {
+      joinSwarm(archive)
+    }
+  },
+
   async configureArchive (key, userSettings) {
     var archive = getArchive(key)
     if (archive) {
       configureNetwork(archive, userSettings)
       configureAutoDownload(archive, userSettings)
       configureLocalSync(archive, userSettings)
+      bandwidth.configureArchive(archive, userSettings)
     }
   },
 
@@ -170,6 +221,20 @@ const RPC_API = {
     }
   },
 
+  // the network totals of every loaded archive, since it was loaded
+  // - returns {[key]: {peers, uploadTotal, downloadTotal}}
+  async getNetworkStats () {
+    var stats = {}
+    for (let key in archives) {
+      stats[key] = {
+        peers: archives[key].metadata.peers.length,
+        uploadTotal: archives[key].networkStats.uploadTotal,
+        downloadTotal: archives[key].networkStats.downloadTotal
+      }
+    }
+    return stats
+  },
+
   updateSizeTracking,
 
   async loadArchive (opts) {
@@ -219,7 +284,9 @@ const RPC_API = {
     // setup the archive based on current settings
     configureNetwork(archive, userSettings)
     configureAutoDownload(archive, userSettings)
+    archive.localSyncState = userSettings.localSyncState || null // restore the base of the folder sync
     configureLocalSync(archive, userSettings)
+    bandwidth.configureArchive(archive, userSettings)
 
     // await initial metadata sync if not the owner
     if (!archive.writable && !archive.metadata.length) {
@@ -240,7 +307,7 @@ const RPC_API = {
     archive.fileActStream = pda.watch(archive)
     archive.fileActStream.on('data', ([event, {path}]) => {
       if (event === 'changed') {
-        if (!archive.localSyncSettings) return
+        if (!archive.localSyncSettings || archive.localSyncSettings.isPaused) return
         // need to sync this change to the local folder
         if (archive.localSyncSettings.autoPublish) {
           // bidirectional sync: use the sync queue
@@ -331,6 +398,20 @@ const RPC_API = {
     configureAutoDownload(archive, userSettings)
   },
 
+  // - opts.repair: bool, clear the corrupt blocks and download them again
+  //   (not done for writable archives, since the network may have no other copy of their blocks)
+  async verifyArchive (key, opts = {}) {
+    var archive = getArchive(key)
+    if (!archive) {
+      throw new Error('Archive not loaded')
+    }
+    var url = `dat://${datEncoding.toStr(archive.key)}`
+    return integrity.verifyArchive(archive, {
+      repair: !!opts.repair && !archive.writable,
+      onProgress: progress => daemonEvents.emit('verify-progress', {details: Object.assign({url}, progress)})
+    })
+  },
+
   async exportArchiveToArchive (opts) {
     opts.srcArchive = getArchive(opts.srcArchive)
     opts.dstArchive = getArchive(opts.dstArchive)
@@ -347,6 +428,9 @@ const RPC_API = {
   fe_queueSyncEvent: (key, ...args) => folderSync.queueSyncEvent(getArchive(key), ...args),
   fs_syncFolderToArchive: (key, ...args) => folderSync.syncFolderToArchive(getArchive(key), ...args),
   fs_syncArchiveToFolder: (key, ...args) => folderSync.syncArchiveToFolder(getArchive(key), ...args),
+  fs_listConflicts: key => folderSync.listConflicts(getArchive(key)),
+  fs_resolveConflict: (key, ...args) => folderSync.resolveConflict(getArchive(key), ...args),
+  fs_explainIgnore: (key, ...args) => folderSync.explainIgnore(getArchive(key), ...args),
 
   // dat extensions
   // =
@@ -365,14 +449,47 @@ const RPC_API = {
 // =
 
 // set the networking of an archive based on settings
+// - saved archives which auto-upload are seeded, and only join the swarm during their seeding windows
+//   or while they're in use (see markArchiveInUse())
 function configureNetwork (archive, settings) {
-  if (!settings || settings.networked) {
+  archive.isNetworked = !settings || !!settings.networked
+  archive.isSeeded = !!(settings && settings.isSaved && settings.autoUpload)
+  archive.seedSchedule = (settings && settings.seedSchedule) || null
+  if (archive.isNetworked && (isInUse(archive) || isInSeedingWindow(archive))) {
     joinSwarm(archive)
   } else {
     leaveSwarm(archive)
   }
 }
 
+// join or leave the swarm as the seeding windows open and close, and as the archives stop being used
+function applySeedSchedules () {
+  for (let key in archiveUseTimes) {
+    if (Date.now() - archiveUseTimes[key] > DAT_IN_USE_TIMEOUT) delete archiveUseTimes[key]
+  }
+  for (let key in archives) {
+    let archive = archives[key]
+    if (!archive.isNetworked || !archive.isSeeded) continue
+    if (isInUse(archive) || isInSeedingWindow(archive)) {
+      joinSwarm(archive)
+    } else {
+      leaveSwarm(archive)
+    }
+  }
+}
+
+function isInUse (archive) {
+  var useTime = archiveUseTimes[datEncoding.toStr(archive.key)]
+  return !!useTime && (Date.now() - useTime) <= DAT_IN_USE_TIMEOUT
+}
+
+function isInSeedingWindow (archive) {
+  if (!archive.isSeeded) {
+    return true // only seeded archives are scheduled
+  }
+  return isSeedingAllowed(archive.seedSchedule || globalSeedSchedule, new Date(), {isThrottled: bandwidth.hasGlobalLimits()})
+}
+
 // put the archive into the network, for upload and download
 const joinSwarm = exports.joinSwarm = function joinSwarm (key, opts) {
   var archive = (typeof key === 'object' && key.key) ? key : getArchive(key)
@@ -500,14 +617,16 @@ function getLocalSyncSettings (archive, userSettings) {
   if (userSettings.localSyncPath) {
     return {
       path: userSettings.localSyncPath,
-      autoPublish: !userSettings.previewMode
+      autoPublish: !userSettings.previewMode,
+      isPaused: !!userSettings.localSyncPaused
     }
   }
   if (userSettings.previewMode) {
     return {
       path: getInternalLocalSyncPath(archive),
       autoPublish: false,
-      isUsingInternal: true
+      isUsingInternal: true,
+      isPaused: !!userSettings.localSyncPaused
     }
   }
   return false
@@ -522,10 +641,7 @@ function stopAutodownload (archive) {
 }
 
 function connectReplicationStream (local, remote) {
-  var streams = [local, remote, local]
-  if (upThrottleGroup) streams.splice(1, 0, upThrottleGroup.throttle())
-  if (downThrottleGroup) streams.splice(-1, 0, downThrottleGroup.throttle())
-  pump(streams)
+  pump(local, bandwidth.createThrottle(local, 'up'), remote, bandwidth.createThrottle(local, 'down'), local)
 }
 
 function createReplicationStream (info) {
@@ -547,6 +663,13 @@ function createReplicationStream (info) {
   // add any requested archives
   stream.on('feed', add)
 
+  // the peer id is only known after the handshake, so check the id rules again
+  stream.once('handshake', () => {
+    if (streamKeys.some(keyStr => rejectPeer(stream, keyStr))) {
+      stream.destroy()
+    }
+  })
+
   function add (dkey) {
     // lookup the archive
     var dkeyStr = datEncoding.toStr(dkey)
@@ -558,12 +681,21 @@ function createReplicationStream (info) {
       return // already replicating
     }
 
+    // refuse peers which are filtered out
+    var keyStr = datEncoding.toStr(archive.key)
+    if (rejectPeer(stream, keyStr)) {
+      if (!streamKeys.length) stream.destroy()
+      return
+    }
+
     // create the replication stream
     archive.replicate({stream, live: true})
     if (stream.destroyed) return // in case the stream was destroyed during setup
 
+    // the first archive decides the bandwidth limits of the connection
+    if (!stream.archive) stream.archive = archive
+
     // track the stream
-    var keyStr = datEncoding.toStr(archive.key)
     streamKeys.push(keyStr)
     archive.replicationStreams.push(stream)
     function onend () {
@@ -588,6 +720,34 @@ function createReplicationStream (info) {
   return stream
 }
 
+// check a connection against the peer filters of an archive
+// - logs the rejection
+// - returns true if the peer is refused
+function rejectPeer (stream, keyStr) {
+  var info = stream.peerInfo
+  var reason = peerFilters.getRejection(keyStr, {
+    host: info.host,
+    port: info.port,
+    id: stream.remoteId ? datEncoding.toStr(stream.remoteId) : null
+  })
+  if (reason) {
+    archiveSwarm.emit('peer-filtered', info, {archiveKey: keyStr, reason})
+    return true
+  }
+  return false
+}
+
+// close the connections which the current peer filters refuse
+function applyPeerFilters () {
+  for (let keyStr in archives) {
+    for (let stream of archives[keyStr].replicationStreams.slice()) {
+      if (rejectPeer(stream, keyStr)) {
+        stream.destroy()
+      }
+    }
+  }
+}
+
 function onNetworkChanged (archive) {
   var now = Date.now()
   var lastHistory = archive.peerHistory.slice(-1)[0]
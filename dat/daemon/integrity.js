@@ -0,0 +1,111 @@
+const pify = require('pify')
+const crypto = require('hypercore-crypto')
+
+// storage integrity checks
+// - every block which is stored is hashed and compared against its merkle tree node
+// - the latest signature of each feed is checked against the tree roots
+// - corrupt blocks can be cleared, so that they're downloaded again from the network
+// (hypercore has no public API to read a block's stored node and data without verification, so this uses its storage, like feed.audit() does)
+
+// constants
+// =
+
+const PROGRESS_INTERVAL = 100 // blocks
+
+// exported api
+// =
+
+// verify the metadata and content feeds of an archive
+// - opts.repair: bool, clear the corrupt blocks and download them again
+// - opts.onProgress: function({feed, checked, total, corrupt})
+// - returns {metadata, content}, each {length, checked, corrupt, corruptRanges, isSignatureValid, isRepairing}
+//   (content is null if the archive has no content feed yet)
+exports.verifyArchive = async function (archive, opts = {}) {
+  if (archive.verifyPromise) {
+    return archive.verifyPromise // already running
+  }
+  archive.verifyPromise = (async () => ({
+    metadata: await verifyFeed(archive.metadata, 'metadata', opts),
+    content: archive.content ? await verifyFeed(archive.content, 'content', opts) : null
+  }))()
+  try {
+    return await archive.verifyPromise
+  } finally {
+    archive.verifyPromise = null
+  }
+}
+
+// internal methods
+// =
+
+async function verifyFeed (feed, name, {repair, onProgress}) {
+  await pify(feed.ready.bind(feed))()
+  var report = {
+    length: feed.length,
+    checked: 0,
+    corrupt: 0,
+    corruptRanges: [], // [{start, end}], end is exclusive
+    isSignatureValid: null, // null if there's nothing signed yet
+    isRepairing: false
+  }
+  const progress = () => {
+    if (onProgress) onProgress({feed: name, checked: report.checked, total: feed.length, corrupt: report.corrupt})
+  }
+
+  // check the blocks
+  for (let i = 0; i < feed.length; i++) {
+    if (!feed.has(i)) continue // not downloaded
+    if (!(await isBlockValid(feed, i))) {
+      report.corrupt++
+      addToRanges(report.corruptRanges, i)
+    }
+    report.checked++
+    if (report.checked % PROGRESS_INTERVAL === 0) progress()
+  }
+  progress()
+
+  // check the signature
+  if (feed.length) {
+    report.isSignatureValid = await isSignatureValid(feed)
+  }
+
+  // clear the corrupt blocks and fetch them again
+  if (repair && report.corruptRanges.length) {
+    for (let {start, end} of report.corruptRanges) {
+      await pify(feed.clear.bind(feed))(start, end)
+      feed.download({start, end}) // finishes when a peer provides the blocks
+    }
+    report.isRepairing = true
+  }
+
+  return report
+}
+
+function isBlockValid (feed, index) {
+  return new Promise(resolve => {
+    feed._storage.getNode(2 * index, (err, node) => {
+      if (err) return resolve(false)
+      feed._storage.getData(index, (err, data) => {
+        resolve(!err && !!data && crypto.data(data).equals(node.hash))
+      })
+    })
+  })
+}
+
+function isSignatureValid (feed) {
+  return new Promise(resolve => {
+    feed.signature((err, res) => {
+      if (err) return resolve(false)
+      feed.verify(res.index, res.signature, (err, valid) => resolve(!err && !!valid))
+    })
+  })
+}
+
+function addToRanges (ranges, index) {
+  var last = ranges[ranges.length - 1]
+  if (last && last.end === index) {
+    last.end++
+  } else {
+    ranges.push({start: index, end: index + 1})
+  }
+}
@@ -74,6 +74,14 @@ const addArchiveSwarmLogging = exports.addArchiveSwarmLogging = function ({archi
       message: peerRejectedReason(details.reason)
     })
   })
+  archiveSwarm.on('peer-filtered', (peer, {archiveKey, reason}) => {
+    log(archiveKey, {
+      event: 'peer-rejected',
+      peer: `${peer.host}:${peer.port}`,
+      connectionType: peer.type,
+      message: reason
+    })
+  })
   archiveSwarm.on('drop', (peer) => {
     let archive = archivesByDKey[findFullDiscoveryKey(archivesByDKey, peer.channel)]
     if (!archive) return
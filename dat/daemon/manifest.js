@@ -3,6 +3,8 @@ module.exports = {
 
   setup: 'promise',
   setBandwidthThrottle: 'promise',
+  setPeerFilters: 'promise',
+  setSeedSchedule: 'promise',
 
   // event streams & debug
 
@@ -12,8 +14,10 @@ module.exports = {
 
   // archive management
 
+  markArchiveInUse: 'promise',
   configureArchive: 'promise',
   getArchiveInfo: 'promise',
+  getNetworkStats: 'promise',
   updateSizeTracking: 'promise',
   loadArchive: 'promise',
   unloadArchive: 'promise',
@@ -26,6 +30,7 @@ module.exports = {
   callArchivePDAPromiseMethod: 'promise',
   callArchivePDAReadStreamMethod: 'readable',
   clearFileCache: 'promise',
+  verifyArchive: 'promise',
   exportArchiveToArchive: 'async',
 
   // folder sync
@@ -37,6 +42,9 @@ module.exports = {
   fe_queueSyncEvent: 'promise',
   fs_syncFolderToArchive: 'promise',
   fs_syncArchiveToFolder: 'promise',
+  fs_listConflicts: 'promise',
+  fs_resolveConflict: 'promise',
+  fs_explainIgnore: 'promise',
 
   // dat extensions
 
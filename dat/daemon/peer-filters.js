@@ -0,0 +1,50 @@
+const {parseRule, matchRule, isPrivateAddress} = require('../../lib/peer-rules')
+
+// the peer allow/deny lists of the archives
+// - the global filters ('*') apply to every archive, and an archive's own filters are applied on top
+// - a peer is refused if it matches any deny list, or misses an allow list which isn't empty
+// - in LAN-only mode, peers with public addresses are refused
+// the rule syntax is described in lib/peer-rules.js
+
+// globals
+// =
+
+var filters = {} // key or '*' -> {lanOnly, allow, deny}, with the rules parsed
+
+// exported api
+// =
+
+// set the filters of an archive, or the global filters if key is '*'
+// - filters: {lanOnly, allow, deny}, or null to remove them
+exports.setFilters = function (key, newFilters) {
+  if (!newFilters) {
+    delete filters[key]
+    return
+  }
+  filters[key] = {
+    lanOnly: !!newFilters.lanOnly,
+    allow: (newFilters.allow || []).map(parseRule),
+    deny: (newFilters.deny || []).map(parseRule)
+  }
+}
+
+// check a peer against the filters of an archive
+// - peer: {host, port, id}
+// - returns the reason the peer was refused, or false if it's allowed
+exports.getRejection = function (key, peer) {
+  for (let scope of [filters['*'], filters[key]]) {
+    if (!scope) continue
+    if (scope.lanOnly && !isPrivateAddress(peer.host)) {
+      return 'Peer is not on the local network (LAN-only mode)'
+    }
+    let denied = scope.deny.find(rule => matchRule(rule, peer))
+    if (denied) {
+      return `Peer matched the deny rule ${denied.str}`
+    }
+    // (an id rule can't be checked until the handshake gives the peer's id, so it passes until then)
+    if (scope.allow.length && !scope.allow.some(rule => matchRule(rule, peer) || (rule.type === 'id' && !peer.id))) {
+      return 'Peer was not on the allow list'
+    }
+  }
+  return false
+}
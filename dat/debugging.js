@@ -1,5 +1,7 @@
 const {getActiveArchives} = require('./library')
 const datDns = require('./dns')
+const {makeSafe} = require('../lib/strings')
+const {niceDate} = require('../lib/time')
 
 exports.archivesDebugPage = function () {
   var archives = getActiveArchives()
@@ -26,13 +28,35 @@ exports.archivesDebugPage = function () {
 
 exports.datDnsCachePage = function () {
   var cache = datDns.listCache()
+  var petnames = datDns.listPetnames()
+  var now = Date.now()
   return `<html>
     <body>
       <h1>Dat DNS cache</h1>
-      <p><button>Clear cache</button></p>
+      <p><button class="clear">Clear cache</button></p>
       <table style="font-family: monospace">
-        ${Object.keys(cache).map(name => {
-    var key = cache[name]
+        <tr><th>Name</th><th>Key</th><th>Source</th><th>TTL</th><th>Resolved</th><th>Expires</th><th>Last error</th><th></th></tr>
+        ${cache.map(entry => {
+    var expires = entry.expiresAt > now ? `in ${Math.round((entry.expiresAt - now) / 1e3)}s` : 'expired'
+    return `<tr>
+          <td><strong>${makeSafe(entry.name)}</strong></td>
+          <td>${entry.key || '<em>not found</em>'}</td>
+          <td>${entry.source || ''}</td>
+          <td>${entry.ttl}s</td>
+          <td>${entry.resolvedAt ? niceDate(entry.resolvedAt) : ''}</td>
+          <td>${expires}</td>
+          <td>${entry.lastError ? `${makeSafe(entry.lastError)} (${niceDate(entry.lastErrorAt)})` : ''}</td>
+          <td>
+            <button class="refresh" data-name="${makeSafe(entry.name)}">Refresh</button>
+            <button class="evict" data-name="${makeSafe(entry.name)}">Evict</button>
+          </td>
+        </tr>`
+  }).join('')}
+      </table>
+      <h2>Petnames</h2>
+      <table style="font-family: monospace">
+        ${Object.keys(petnames).map(name => {
+    var key = petnames[name]
     return `<tr><td><strong>${name}</strong></td><td>${key}</td></tr>`
   }).join('')}
       </table>
@@ -43,10 +67,24 @@ exports.datDnsCachePage = function () {
 
 exports.datDnsCacheJS = function () {
   return `
-    document.querySelector('button').addEventListener('click', clear)
+    document.querySelector('button.clear').addEventListener('click', clear)
+    document.querySelectorAll('button.refresh').forEach(el => el.addEventListener('click', refresh))
+    document.querySelectorAll('button.evict').forEach(el => el.addEventListener('click', evict))
     async function clear () {
       await beaker.archives.clearDnsCache()
       location.reload()
     }
+    async function refresh (e) {
+      try {
+        await beaker.archives.refreshDnsCacheEntry(e.currentTarget.dataset.name)
+      } catch (err) {
+        alert(err.message)
+      }
+      location.reload()
+    }
+    async function evict (e) {
+      await beaker.archives.evictDnsCacheEntry(e.currentTarget.dataset.name)
+      location.reload()
+    }
   `
 }
@@ -1,14 +1,42 @@
+const bytes = require('bytes')
 const {pluralize, makeSafe} = require('../lib/strings')
-const {stat, readdir} = require('pauls-dat-api')
+const {niceDate} = require('../lib/time')
 const {join, relative} = require('path')
 
+// constants
+// =
+
+const SORT_KEYS = ['name', 'size', 'mtime']
+const DEFAULT_PAGE_SIZE = 500
+const MAX_PAGE_SIZE = 5000
+
 const styles = `<style>
+  table {
+    border-collapse: collapse;
+    font-family: Consolas, 'Lucida Console', Monaco, monospace;
+    font-size: 13px;
+  }
+  th {
+    text-align: left;
+    font-weight: normal;
+    padding: 3px 20px 3px 0;
+  }
+  th.name {
+    padding-left: 20px;
+  }
+  td {
+    padding: 3px 20px 3px 0;
+    color: #777;
+  }
   .entry {
     background: no-repeat center left;
     padding: 3px 20px;
     font-family: Consolas, 'Lucida Console', Monaco, monospace;
     font-size: 13px;
   }
+  td.entry {
+    color: inherit;
+  }
   .updog {
     background-image: url('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAAAGXRFWHRTb2Z0d2FyZQBBZG9iZSBJbWFnZVJlYWR5ccllPAAAAKxJREFUeNpi/P//PwMlgImBQjAMDGBBF2BkZISz09LSwCE8a9YsuCBGoIMEkDEMJCUl/b90+QoYg9i41LNgc1ZycvL/hMQkhgcPH4H5iUnJIJf9nzt3LiNBL2RkZPwPj4hk4BMUYuDh44MEFDMLQ0xsHAMrKyvIJYyEwuDLiuXLeP7+/Qv3EihcmJmZGZiYmL5gqEcPFKBiAyDFjCPQ/wLVX8BrwGhSJh0ABBgAsetR5KBfw9EAAAAASUVORK5CYII=');
   }
@@ -20,56 +48,134 @@ const styles = `<style>
   }
 </style>`
 
-module.exports = async function renderDirectoryListingPage (archive, dirPath, webRoot) {
+// exported api
+// =
+
+// render the listing as an html page
+// - query: the url query params, which may include
+//   - sort: 'name' | 'size' | 'mtime' (default 'name')
+//   - order: 'asc' | 'desc' (default 'asc')
+//   - offset: number (default 0)
+//   - limit: number (default 500)
+exports.renderHTML = async function renderDirectoryListingPage (archive, dirPath, webRoot, query = {}) {
+  var listing = await listDirectory(archive, dirPath, webRoot, query)
+  const webrootPath = p => relative(webRoot || '/', p)
+
+  // show the updog if path is not top
+  var updog = ''
+  if (['/', '', '..'].includes(webrootPath(dirPath)) === false) {
+    updog = `<tr><td class="entry updog" colspan="3"><a href="..">..</a></td></tr>`
+  }
+
+  // render column headers, which sort the listing when clicked
+  var columns = [['name', 'Name'], ['size', 'Size'], ['mtime', 'Modified']].map(([key, label]) => {
+    var order = (listing.sort === key && listing.order === 'asc') ? 'desc' : 'asc'
+    var arrow = (listing.sort === key) ? (listing.order === 'asc' ? ' &#9650;' : ' &#9660;') : ''
+    return `<th class="${key}"><a href="${toQueryString(query, {sort: key, order, offset: 0})}">${label}</a>${arrow}</th>`
+  }).join('')
+
+  // render entries
+  var rows = listing.entries.map(entry => {
+    var url = makeSafe(entry.path)
+    if (!url.startsWith('/')) url = '/' + url // all urls should have a leading slash
+    if (entry.type === 'directory' && !url.endsWith('/')) url += '/' // all dirs should have a trailing slash
+    var size = (entry.type === 'directory') ? '' : bytes(entry.size)
+    var mtime = entry.mtime ? niceDate(entry.mtime) : ''
+    return `<tr><td class="entry ${entry.type}"><a href="${url}">${makeSafe(entry.name)}</a></td><td>${size}</td><td>${mtime}</td></tr>`
+  }).join('')
+
+  // render summary and paging
+  var summary = `<div class="entry">${listing.totalEntries} ${pluralize(listing.totalEntries, 'file')}</div>`
+  var paging = []
+  if (listing.offset > 0) {
+    paging.push(`<a href="${toQueryString(query, {offset: Math.max(listing.offset - listing.limit, 0)})}">Previous</a>`)
+  }
+  if (listing.offset + listing.limit < listing.totalEntries) {
+    paging.push(`<a href="${toQueryString(query, {offset: listing.offset + listing.limit})}">Next</a>`)
+  }
+  if (paging.length) {
+    let last = Math.min(listing.offset + listing.limit, listing.totalEntries)
+    summary += `<div class="entry">Showing ${listing.offset + 1}-${last} &middot; ${paging.join(' &middot; ')}</div>`
+  }
+
+  // render final
+  return '<meta charset="UTF-8">' + styles + `<table><tr>${columns}</tr>${updog}${rows}</table>` + summary
+}
+
+// render the listing as json
+// - query: the same as renderHTML()
+exports.renderJSON = async function renderDirectoryListingJSON (archive, dirPath, webRoot, query = {}) {
+  var listing = await listDirectory(archive, dirPath, webRoot, query)
+  return JSON.stringify(listing)
+}
+
+// internal methods
+// =
+
+async function listDirectory (archive, dirPath, webRoot, query) {
   // handle the webroot
   webRoot = webRoot || '/'
   const realPath = p => join(webRoot, p)
   const webrootPath = p => relative(webRoot, p)
 
+  // read the options
+  var sort = SORT_KEYS.includes(query.sort) ? query.sort : 'name'
+  var order = (query.order === 'desc') ? 'desc' : 'asc'
+  var offset = Math.max(parseInt(query.offset, 10) || 0, 0)
+  var limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
   // list files
   var names = []
-  try { names = await readdir(archive, realPath(dirPath)) } catch (e) {}
+  try { names = await archive.pda.readdir(realPath(dirPath)) } catch (e) {}
 
   // stat each file
   var entries = await Promise.all(names.map(async (name) => {
-    var entry
+    var st
     var entryPath = join(dirPath, name)
-    try { entry = await stat(archive, realPath(entryPath)) } catch (e) { return false }
-    entry.path = webrootPath(entryPath)
-    entry.name = name
-    return entry
+    try { st = await archive.pda.stat(realPath(entryPath)) } catch (e) { return false }
+    return {
+      name,
+      path: webrootPath(entryPath),
+      type: st.isDirectory() ? 'directory' : 'file',
+      size: st.size,
+      mtime: st.mtime,
+      blocks: st.blocks,
+      downloaded: st.downloaded
+    }
   }))
   entries = entries.filter(Boolean)
 
   // sort the listing
+  var dir = (order === 'asc') ? 1 : -1
   entries.sort((a, b) => {
     // directories on top
-    if (a.isDirectory() && !b.isDirectory()) return -1
-    if (!a.isDirectory() && b.isDirectory()) return 1
-    // alphabetical after that
-    return a.name.localeCompare(b.name)
+    if (a.type === 'directory' && b.type !== 'directory') return -1
+    if (a.type !== 'directory' && b.type === 'directory') return 1
+    // then by the sort key, with the name breaking ties
+    if (sort !== 'name' && a[sort] !== b[sort]) return (a[sort] - b[sort]) * dir
+    return a.name.localeCompare(b.name) * dir
   })
 
-  // show the updog if path is not top
-  var updog = ''
-  if (['/', '', '..'].includes(webrootPath(dirPath)) === false) {
-    updog = `<div class="entry updog"><a href="..">..</a></div>`
+  return {
+    path: webrootPath(dirPath) || '/',
+    sort,
+    order,
+    offset,
+    limit,
+    totalEntries: entries.length,
+    entries: entries.slice(offset, offset + limit)
   }
+}
 
-  // render entries
-  var totalFiles = 0
-  entries = entries.map(entry => {
-    totalFiles++
-    var url = makeSafe(entry.path)
-    if (!url.startsWith('/')) url = '/' + url // all urls should have a leading slash
-    if (entry.isDirectory() && !url.endsWith('/')) url += '/' // all dirs should have a trailing slash
-    var type = entry.isDirectory() ? 'directory' : 'file'
-    return `<div class="entry ${type}"><a href="${url}">${makeSafe(entry.name)}</a></div>`
-  }).join('')
-
-  // render summary
-  var summary = `<div class="entry">${totalFiles} ${pluralize(totalFiles, 'file')}</div>`
-
-  // render final
-  return '<meta charset="UTF-8">' + styles + updog + entries + summary
+// produce a ?query string from the current params, with some changes applied
+function toQueryString (query, changes) {
+  var params = Object.assign({}, query, changes)
+  var parts = []
+  for (let k in params) {
+    if (typeof params[k] === 'undefined' || (k === 'offset' && params[k] === 0)) continue
+    for (let v of [].concat(params[k])) {
+      parts.push(`${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    }
+  }
+  return makeSafe('?' + parts.join('&'))
 }
@@ -0,0 +1,189 @@
+const fs = require('fs')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const url = require('url')
+const pify = require('pify')
+const concat = require('concat-stream')
+const {stringify} = require('querystring')
+const {DAT_HASH_REGEX} = require('../lib/const')
+
+// the backends which dat/dns.js chains together to resolve a name
+// each resolver is `async function (name, config) => {key, ttl} | null`
+// - null means the resolver has no record for the name, so the next one is asked
+// - a thrown error means the resolver failed, which is also passed over
+// - ttl is in seconds, and 0 means the answer shouldn't be cached in memory
+// - config is the parsed settings (see dat/dns.js), plus the resolver's timeout in ms
+
+// constants
+// =
+
+const DEFAULT_TTL = 3600 // 1hr
+const MAX_TTL = 3600 * 24 * 7 // 1 week
+const MAX_RESPONSE_SIZE = 65536
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308]
+const MAX_REDIRECTS = 6
+
+// exported api
+// =
+
+// a hosts-style file of `<key> <name> [<name>...]` lines, with # comments
+// - the file is re-read when it changes, so its answers aren't cached in memory
+exports.hosts = async function (name, {hostsFile}) {
+  if (!hostsFile) return null
+  var hosts = await readHostsFile(hostsFile)
+  var key = hosts && hosts[name]
+  return key ? {key, ttl: 0} : null
+}
+
+// a TXT query sent to a DNS-over-HTTPS (or, for local stand-ins, plain http) endpoint
+// - the endpoint must speak the application/dns-json format
+exports['dns-over-https'] = async function (name, {dohEndpoint, timeout}) {
+  if (!dohEndpoint) return null
+  if (!name.includes('.')) return null // only FQDNs are looked up
+  if (!name.endsWith('.')) name += '.'
+
+  var urlp = url.parse(dohEndpoint)
+  var res = await httpGet(Object.assign(urlp, {
+    path: `${urlp.pathname || '/'}?${stringify({name, type: 'TXT'})}`,
+    // Cloudflare requires this exact header; luckily everyone else ignores it
+    headers: {'Accept': 'application/dns-json'},
+    timeout
+  }))
+  if (res.statusCode !== 200) {
+    throw new Error('HTTP code ' + res.statusCode)
+  }
+
+  var record
+  try {
+    record = JSON.parse(res.body)
+  } catch (e) {
+    throw new Error('Failed to parse JSON response')
+  }
+  var answer = (Array.isArray(record.Answer) ? record.Answer : [])
+    .filter(a => a && typeof a.data === 'string')
+    .map(a => ({key: parseTxtRecord(a.data), ttl: a.TTL}))
+    .find(a => a.key)
+  return answer ? {key: answer.key, ttl: clampTTL(answer.ttl)} : null
+}
+
+// the /.well-known/dat file of the name's https site
+// - the first line is the dat://{key} url, the optional second line is TTL={seconds}
+// - redirects are followed, as long as they stay on https
+exports['well-known'] = async function (name, {timeout}) {
+  if (!name.includes('.')) return null // only FQDNs are looked up
+  var location = `https://${name}/.well-known/dat`
+  var res
+  for (let i = 0; ; i++) {
+    res = await httpGet(Object.assign(url.parse(location), {timeout}))
+    if (!REDIRECT_STATUS_CODES.includes(res.statusCode)) break
+    if (i >= MAX_REDIRECTS) {
+      throw new Error('Too many redirects')
+    }
+    if (!res.headers.location) {
+      throw new Error('Redirect without a location')
+    }
+    location = url.resolve(location, res.headers.location)
+    if (url.parse(location).protocol !== 'https:') {
+      throw new Error('Redirected to a non-https url')
+    }
+  }
+  if (res.statusCode === 404) {
+    return null
+  }
+  if (res.statusCode !== 200) {
+    throw new Error('HTTP code ' + res.statusCode)
+  }
+
+  var lines = res.body.split('\n')
+  var match = /^dat:\/\/([0-9a-f]{64})/i.exec(lines[0])
+  if (!match) {
+    throw new Error('Record did not provide a valid dat://{key} url')
+  }
+  var ttlMatch = /^ttl=(\d+)$/i.exec((lines[1] || '').trim())
+  return {key: match[1], ttl: clampTTL(ttlMatch ? +ttlMatch[1] : undefined)}
+}
+
+// a TXT query sent over regular DNS
+// - uses the system's servers, unless txtServers lists others
+exports.txt = async function (name, {txtServers}) {
+  if (!name.includes('.')) return null // only FQDNs are looked up
+  var resolver = new dns.Resolver()
+  if (txtServers && txtServers.length) {
+    resolver.setServers(txtServers)
+  }
+
+  var records
+  try {
+    records = await pify(resolver.resolveTxt.bind(resolver))(name)
+  } catch (err) {
+    if (err.code === dns.NOTFOUND || err.code === dns.NODATA) return null
+    throw err
+  }
+  for (let chunks of records) {
+    let key = parseTxtRecord(chunks.join(''))
+    if (key) return {key, ttl: DEFAULT_TTL} // node doesn't give the TTL of TXT records
+  }
+  return null
+}
+
+// internal methods
+// =
+
+var hostsFileCache = {path: null, mtime: 0, hosts: null}
+async function readHostsFile (path) {
+  var st
+  try {
+    st = await pify(fs.stat)(path)
+  } catch (e) {
+    return null // no file, no records
+  }
+  if (hostsFileCache.path === path && hostsFileCache.mtime === +st.mtime) {
+    return hostsFileCache.hosts
+  }
+
+  var hosts = Object.create(null) // (no prototype, so names like 'constructor' arent found on it)
+  var content = await pify(fs.readFile)(path, 'utf8')
+  for (let line of content.split('\n')) {
+    let [key, ...names] = line.replace(/#.*$/, '').trim().split(/\s+/)
+    if (!DAT_HASH_REGEX.test(key)) continue
+    for (let name of names) {
+      hosts[name.toLowerCase()] = key.toLowerCase()
+    }
+  }
+  hostsFileCache = {path, mtime: +st.mtime, hosts}
+  return hosts
+}
+
+function parseTxtRecord (data) {
+  var match = /^"?datkey=([0-9a-f]{64})"?$/i.exec(data)
+  return match ? match[1] : null
+}
+
+function clampTTL (ttl) {
+  if (!Number.isSafeInteger(ttl) || ttl < 0) return DEFAULT_TTL
+  return Math.min(ttl, MAX_TTL)
+}
+
+function httpGet (opts) {
+  return new Promise((resolve, reject) => {
+    var req = (opts.protocol === 'http:' ? http : https).get(opts, res => {
+      if (+res.headers['content-length'] > MAX_RESPONSE_SIZE) {
+        res.destroy()
+        return reject(new Error('Response is too large'))
+      }
+      // count the bytes as they arrive too, since the header can be missing (chunked) or wrong
+      var size = 0
+      res.on('data', chunk => {
+        size += chunk.length
+        if (size > MAX_RESPONSE_SIZE) {
+          req.abort()
+          reject(new Error('Response is too large'))
+        }
+      })
+      res.pipe(concat({encoding: 'string'}, body => resolve({statusCode: res.statusCode, headers: res.headers, body})))
+    })
+    req.on('error', reject)
+    if (opts.timeout) req.setTimeout(opts.timeout, () => req.abort())
+  })
+}
@@ -1,30 +1,319 @@
+const EventEmitter = require('events')
+const url = require('url')
 const {InvalidDomainName} = require('beaker-error-constants')
+const debug = require('../lib/debug-logger').debugLogger('dat-dns')
+const settingsDb = require('../dbs/settings')
 const sitedataDb = require('../dbs/sitedata')
+const petnamesDb = require('../dbs/petnames')
+const resolvers = require('./dns-resolvers')
+const {timer} = require('../lib/time')
 const {DAT_HASH_REGEX} = require('../lib/const')
 
-// instantate a dns cache and export it
-const datDns = require('dat-dns')({
-  persistentCache: {read, write}
-})
+// names are resolved by a chain of resolvers (see dat/dns-resolvers.js)
+// - the order of the chain, and each resolver's timeout, come from the `dat_dns_resolvers` setting
+//   eg 'hosts, dns-over-https:5000, well-known' (a resolver without a timeout uses `dat_dns_resolver_timeout`)
+// - answers are cached in memory for their TTL, and in sitedata as a fallback for when the whole chain fails
+// - emits 'resolved' and 'failed' with {method, name, key|err} as each resolver answers
+
+const datDns = new EventEmitter()
 module.exports = datDns
 
-// wrap resolveName() with a better error
-const resolveName = datDns.resolveName
-datDns.resolveName = function () {
-  return resolveName.apply(datDns, arguments)
-    .catch(_ => {
-      throw new InvalidDomainName()
-    })
+// constants
+// =
+
+const MISS_TTL = 60 // seconds to remember that a name has no record
+
+// globals
+// =
+
+var cache = {} // name -> cache entry, see setCacheEntry()
+var lookupPromises = Object.create(null) // name -> promise of the lookup in progress
+var notifiedKeyChanges = new Set() // "name key" pairs which have already emitted 'key-changed'
+var petnames = Object.create(null) // name -> key, mirrors the petnames table
+
+// load the petnames, and keep them in sync
+datDns.setup = async function () {
+  const reload = () => loadPetnames().catch(err => console.error('Failed to load the dat petnames', err))
+  await reload()
+  petnamesDb.on('changed', reload)
+}
+
+// list the petnames
+// - returns {name: key}
+datDns.listPetnames = function () {
+  return Object.assign({}, petnames)
+}
+
+// resolve a name to its key
+// - opts.ignoreCache: bool, skip the in-memory cache
+// - opts.ignoreCachedMiss: bool, look the name up again if it was recently not found
+// petnames are answered first, without a lookup,
+// and the key is checked against the one we trust for the name (unless it came from the hosts file)
+datDns.resolveName = async function (name, opts = {}) {
+  name = toHostname(name).toLowerCase()
+  if (DAT_HASH_REGEX.test(name)) {
+    return name
+  }
+  if (petnames[name]) {
+    return petnames[name]
+  }
+
+  var res
+  try {
+    res = await lookup(name, opts)
+  } catch (err) {
+    throw new InvalidDomainName()
+  }
+  if (res.source === 'hosts') {
+    return res.key // the hosts file is the user's own, so it needs no trust check
+  }
+  return checkTrustedKey(name, res.key)
+}
+
+// list the in-memory cache, including the expired entries
+// - returns [{name, key, source, ttl, resolvedAt, expiresAt, isMiss, lastError, lastErrorAt}]
+datDns.listCache = function () {
+  return Object.keys(cache).sort().map(name => Object.assign({}, cache[name]))
+}
+
+// look a name up again, skipping the cache
+// - returns the new cache entry
+datDns.refreshCacheEntry = async function (name) {
+  name = toHostname(name).toLowerCase()
+  await datDns.resolveName(name, {ignoreCache: true})
+  return cache[name] ? Object.assign({}, cache[name]) : null
+}
+
+// drop a name from the in-memory cache
+// (the persisted key is kept, as the fallback for failed lookups)
+datDns.evictCacheEntry = function (name) {
+  delete cache[toHostname(name).toLowerCase()]
+}
+
+datDns.flushCache = function () {
+  datDns.emit('cache-flushed')
+  cache = {}
+}
+
+// trust-on-first-use
+// - the first key a name resolves to is trusted, and kept in sitedata as 'dat-trust'
+// - if the name later resolves to a different key, resolveName() throws an error with `dnsKeyChanged` set
+//   and the 'key-changed' event is emitted, until the user accepts or rejects the new key
+// - after a rejection, the name keeps resolving to the trusted key
+
+// get the trust record of a name
+// - returns {key, trustedAt, rejectedKeys} or null
+datDns.getTrustedKey = async function (name) {
+  return readTrust(toHostname(name).toLowerCase())
+}
+
+// trust the new key of a name
+datDns.acceptKeyChange = async function (name, key) {
+  name = toHostname(name).toLowerCase()
+  assertValidKey(key)
+  var trust = await readTrust(name)
+  var rejectedKeys = trust ? trust.rejectedKeys.filter(k => k !== key) : []
+  await writeTrust(name, {key, trustedAt: Date.now(), rejectedKeys})
+  notifiedKeyChanges.delete(name + ' ' + key)
+}
+
+// keep trusting the old key of a name
+datDns.rejectKeyChange = async function (name, key) {
+  name = toHostname(name).toLowerCase()
+  assertValidKey(key)
+  var trust = await readTrust(name)
+  if (!trust || trust.key === key) {
+    return // nothing to reject
+  }
+  if (!trust.rejectedKeys.includes(key)) {
+    trust.rejectedKeys.push(key)
+  }
+  await writeTrust(name, trust)
+  notifiedKeyChanges.delete(name + ' ' + key)
+}
+
+// lookup methods
+// =
+
+// - returns the cache entry
+async function lookup (name, {ignoreCache, ignoreCachedMiss}) {
+  var cached = cache[name]
+  if (!ignoreCache && cached && cached.expiresAt > Date.now() && !(cached.isMiss && ignoreCachedMiss)) {
+    if (cached.key) return cached
+    throw new Error('DNS record not found') // cached miss
+  }
+
+  // share the lookup with any others for the name which come in while it's running
+  if (!(name in lookupPromises)) {
+    let p = lookupPromises[name] = runLookup(name)
+    const clear = () => delete lookupPromises[name]
+    p.then(clear, clear)
+  }
+  return lookupPromises[name]
+}
+
+// - returns the cache entry
+async function runLookup (name) {
+  var res = await runResolverChain(name)
+  if (res.key) {
+    setCacheEntry(name, {key: res.key, source: res.method, ttl: res.ttl, isMiss: false})
+    write(name, res.key).catch(err => debug('Failed to write the persistent dns cache', name, err))
+    return cache[name]
+  }
+
+  // fall back to the last key the name resolved to
+  var key = await read(name)
+  setCacheEntry(name, {
+    key: key || false,
+    source: key ? 'persistent-cache' : null,
+    ttl: MISS_TTL,
+    isMiss: true,
+    lastError: res.error,
+    lastErrorAt: Date.now()
+  })
+  if (!key) throw new Error('DNS record not found')
+  return cache[name]
+}
+
+// ask each resolver in turn, until one has a record
+// - returns {key, ttl, method} or {error}
+async function runResolverChain (name) {
+  var config = await readConfig()
+  var errors = []
+  for (let {method, timeout} of config.chain) {
+    let res
+    try {
+      res = await timer(timeout, () => resolvers[method](name, Object.assign({timeout}, config)))
+    } catch (err) {
+      debug(method, 'lookup failed for name:', name, err.message)
+      datDns.emit('failed', {method, name, err: err.message})
+      errors.push(`${method}: ${err.message}`)
+      continue
+    }
+    if (res) {
+      debug(method, 'resolved', name, 'to', res.key)
+      datDns.emit('resolved', {method, name, key: res.key})
+      return Object.assign({method}, res)
+    }
+    datDns.emit('failed', {method, name, err: 'No record found'})
+    errors.push(`${method}: No record found`)
+  }
+  return {error: errors.join('; ') || 'No resolvers are enabled'}
+}
+
+// cache entries are kept after they expire, so the last error and resolve time of each name can be listed
+// - name: string
+// - key: string, or false if the name has no record
+// - source: string, the resolver which gave the key, or 'persistent-cache'
+// - ttl: number, in seconds (0 means the entry is never used)
+// - resolvedAt: number, when a resolver last gave a key
+// - expiresAt: number
+// - isMiss: bool, did the last lookup fail?
+// - lastError: string, why the last failed lookup failed
+// - lastErrorAt: number
+function setCacheEntry (name, values) {
+  var now = Date.now()
+  var prev = cache[name] || {}
+  cache[name] = Object.assign({
+    name,
+    resolvedAt: values.isMiss ? (prev.resolvedAt || null) : now,
+    lastError: prev.lastError || null,
+    lastErrorAt: prev.lastErrorAt || null
+  }, values, {expiresAt: now + values.ttl * 1e3})
+}
+
+// read the resolver settings
+// - returns {chain: [{method, timeout}], hostsFile, dohEndpoint, txtServers}
+async function readConfig () {
+  var settings = await settingsDb.getAll()
+  var chain = []
+  for (let item of String(settings.dat_dns_resolvers || '').split(/[\s,]+/).filter(Boolean)) {
+    let [method, timeout] = item.split(':')
+    if (!resolvers.hasOwnProperty(method)) {
+      debug('Ignoring unknown dns resolver:', method)
+      continue
+    }
+    chain.push({method, timeout: +timeout || +settings.dat_dns_resolver_timeout || 0})
+  }
+  return {
+    chain,
+    hostsFile: settings.dat_dns_hosts_file,
+    dohEndpoint: settings.dat_dns_doh_endpoint,
+    txtServers: String(settings.dat_dns_txt_servers || '').split(/[\s,]+/).filter(Boolean)
+  }
 }
 
 // persistent cache methods
 const sitedataDbOpts = {dontExtractOrigin: true}
-async function read (name, err) {
-  var key = await sitedataDb.get('dat:' + name, 'dat-key', sitedataDbOpts)
-  if (!key) throw err
-  return key
+async function read (name) {
+  return sitedataDb.get('dat:' + name, 'dat-key', sitedataDbOpts)
 }
 async function write (name, key) {
   if (DAT_HASH_REGEX.test(name)) return // dont write for raw urls
   await sitedataDb.set('dat:' + name, 'dat-key', key, sitedataDbOpts)
 }
+
+// petname methods
+async function loadPetnames () {
+  var newPetnames = Object.create(null) // (no prototype, so names like 'constructor' arent found on it)
+  for (let {name, key} of await petnamesDb.list(0)) {
+    newPetnames[name] = key
+  }
+  petnames = newPetnames
+}
+
+// trust methods
+async function checkTrustedKey (name, key) {
+  name = toHostname(name)
+  if (DAT_HASH_REGEX.test(name)) {
+    return key // raw urls dont need to be trusted
+  }
+
+  var trust = await readTrust(name)
+  if (!trust) {
+    // first use
+    await writeTrust(name, {key, trustedAt: Date.now(), rejectedKeys: []})
+    return key
+  }
+  if (trust.key === key) {
+    return key
+  }
+  if (trust.rejectedKeys.includes(key)) {
+    return trust.key // the user chose to stay with the key they trusted
+  }
+
+  var change = {name, trustedKey: trust.key, trustedAt: trust.trustedAt, newKey: key}
+  if (!notifiedKeyChanges.has(name + ' ' + key)) {
+    notifiedKeyChanges.add(name + ' ' + key)
+    datDns.emit('key-changed', change)
+  }
+  var err = new Error(`${name} now points to a different key than the one trusted on ${new Date(trust.trustedAt).toLocaleString()}`)
+  err.dnsKeyChanged = true
+  err.keyChange = change
+  throw err
+}
+async function readTrust (name) {
+  var value = await sitedataDb.get('dat:' + name, 'dat-trust', sitedataDbOpts)
+  if (!value) return null
+  try {
+    let trust = JSON.parse(value)
+    trust.rejectedKeys = trust.rejectedKeys || []
+    return trust
+  } catch (e) {
+    return null
+  }
+}
+async function writeTrust (name, trust) {
+  await sitedataDb.set('dat:' + name, 'dat-trust', JSON.stringify(trust), sitedataDbOpts)
+}
+
+// helpers
+function toHostname (name) {
+  var urlp = url.parse(name)
+  return (urlp.hostname || urlp.pathname || '').replace(/\+.*$/, '') // strip the version
+}
+function assertValidKey (key) {
+  if (typeof key !== 'string' || !DAT_HASH_REGEX.test(key)) {
+    throw new Error('Invalid key: ' + key)
+  }
+}
@@ -0,0 +1,157 @@
+const {join} = require('path')
+const crypto = require('crypto')
+const zlib = require('zlib')
+const through2 = require('through2')
+const yazl = require('yazl')
+const tar = require('tar-stream')
+const anymatch = require('anymatch')
+const datignore = require('../lib/datignore')
+const symlinks = require('../lib/symlinks')
+const {DAT_DOWNLOAD_MANIFEST_FILENAME} = require('../lib/const')
+
+// constants
+// =
+
+const FORMATS = exports.FORMATS = {
+  'zip': {ext: '.zip', contentType: 'application/zip'},
+  'tar': {ext: '.tar', contentType: 'application/x-tar'},
+  'tar.gz': {ext: '.tar.gz', contentType: 'application/gzip'}
+}
+
+// exported api
+// =
+
+// bundle a folder of an archive checkout into a zip or tar stream
+// - format: string, one of the keys of FORMATS
+// - opts
+//   - url: string, the dat:// url of the folder, recorded in the bundle manifest
+//   - version: number|string, the version of the checkout, recorded in the bundle manifest
+//   - include: Array<string>, globs of the files to include (default all)
+//   - exclude: Array<string>, globs of the files to leave out
+// - the archive's .datignore files (the root's and the nested ones) are always applied, as in folder sync
+// - symlinks are bundled as the file they point at, or left out if it isn't a file within the archive
+// - a manifest listing the url, version, and sha256 of each file is added at the end of the bundle,
+//   so the download can be checked against the archive later
+exports.createBundleStream = function (checkoutFS, dirpath, format, opts = {}) {
+  var writer = createBundleWriter(format)
+  writeBundle(writer, checkoutFS, dirpath || '/', opts).catch(err => writer.outputStream.emit('error', err))
+  return writer.outputStream
+}
+
+// internal methods
+// =
+
+async function writeBundle (writer, checkoutFS, dirpath, {url, version, include, exclude}) {
+  // build the filters
+  var datIgnoreRules = await datignore.load(checkoutFS)
+  var includeRules = toGlobRules(include)
+  var excludeRules = toGlobRules(exclude)
+  const isWanted = (archivePath, bundlePath) => {
+    if (datignore.explain(datIgnoreRules, archivePath, false).ignored) return false
+    if (includeRules.length && !anymatch(includeRules, bundlePath)) return false
+    if (excludeRules.length && anymatch(excludeRules, bundlePath)) return false
+    return true
+  }
+
+  // list the files
+  // (sorted so that the same version always produces the same bundle)
+  var names = await checkoutFS.pda.readdir(dirpath, {recursive: true})
+  names.sort()
+
+  // write the files, hashing each as it goes by
+  var files = []
+  var latestMtime = 0
+  for (let name of names) {
+    let archivePath = join('/', dirpath, name)
+    let bundlePath = join('/', name)
+    if (!isWanted(archivePath, bundlePath)) continue
+
+    let st
+    let readPath = archivePath
+    try { st = await checkoutFS.pda.stat(archivePath) } catch (e) { continue }
+    if (symlinks.isSymlink(st)) {
+      // (checked before isFile(), which is true for links too)
+      let resolved = await symlinks.resolveArchiveLink(checkoutFS, archivePath)
+      if (!resolved || !resolved.st.isFile()) continue
+      readPath = resolved.path
+      st = resolved.st
+    }
+    if (!st.isFile()) continue
+
+    let hash = crypto.createHash('sha256')
+    let src = checkoutFS.createReadStream(readPath)
+    let rs = src.pipe(through2(function (chunk, enc, cb) {
+      hash.update(chunk)
+      cb(null, chunk)
+    }))
+    src.once('error', err => rs.emit('error', err))
+    await writer.addStream(name, rs, st)
+    files.push({path: bundlePath, size: st.size, sha256: hash.digest('hex')})
+    latestMtime = Math.max(latestMtime, st.mtime)
+  }
+
+  // write the manifest
+  // (stamped with the latest file mtime, rather than the time of download, to keep the bundle reproducible)
+  var manifest = {url, version, files}
+  var manifestBuf = Buffer.from(JSON.stringify(manifest, null, 2), 'utf8')
+  await writer.addBuffer(DAT_DOWNLOAD_MANIFEST_FILENAME, manifestBuf, {mtime: latestMtime})
+  writer.end()
+}
+
+// wraps yazl and tar-stream in a common interface
+function createBundleWriter (format) {
+  if (format === 'zip') {
+    let zipfile = new yazl.ZipFile()
+    return {
+      outputStream: zipfile.outputStream,
+      addStream (name, rs, st) {
+        return new Promise((resolve, reject) => {
+          zipfile.addReadStream(rs, name, {mtime: new Date(st.mtime), size: st.size})
+          rs.once('end', resolve)
+          rs.once('error', reject)
+        })
+      },
+      async addBuffer (name, buf, st) {
+        zipfile.addBuffer(buf, name, {mtime: new Date(st.mtime)})
+      },
+      end () {
+        zipfile.end()
+      }
+    }
+  }
+
+  let pack = tar.pack()
+  return {
+    outputStream: (format === 'tar.gz') ? pack.pipe(zlib.createGzip()) : pack,
+    addStream (name, rs, st) {
+      return new Promise((resolve, reject) => {
+        var ws = pack.entry({name, size: st.size, mtime: new Date(st.mtime)}, err => {
+          if (err) reject(err)
+          else resolve()
+        })
+        rs.once('error', reject)
+        rs.pipe(ws)
+      })
+    },
+    addBuffer (name, buf, st) {
+      return new Promise((resolve, reject) => {
+        pack.entry({name, mtime: new Date(st.mtime)}, buf, err => {
+          if (err) reject(err)
+          else resolve()
+        })
+      })
+    },
+    end () {
+      pack.finalize()
+    }
+  }
+}
+
+// globs without a leading slash match at any depth, as in .datignore
+function toGlobRules (globs) {
+  if (!globs) return []
+  if (!Array.isArray(globs)) globs = [globs]
+  return globs
+    .filter(glob => glob && typeof glob === 'string')
+    .map(glob => glob.startsWith('/') ? glob : ('**/' + glob))
+}
@@ -12,9 +12,14 @@ const mkdirp = require('mkdirp')
 const siteData = require('../dbs/sitedata')
 const settingsDb = require('../dbs/settings')
 const archivesDb = require('../dbs/archives')
+const peerFiltersDb = require('../dbs/peer-filters')
+const folderSyncJournalDb = require('../dbs/folder-sync-journal')
 
 // dat modules
+const datDns = require('./dns')
 const datGC = require('./garbage-collector')
+const datNetworkStats = require('./network-stats')
+const loadQueue = require('./load-queue')
 
 // constants
 // =
@@ -55,7 +60,8 @@ exports.setup = async function setup ({rpcAPI, datDaemonProcess, disallowedSaveP
       autoDownload: userSettings.autoDownload,
       autoUpload: userSettings.autoUpload,
       localSyncPath: userSettings.localSyncPath,
-      previewMode: userSettings.previewMode
+      previewMode: userSettings.previewMode,
+      localSyncPaused: userSettings.localSyncPaused
     }
     archivesEvents.emit('updated', {details})
     if ('isSaved' in newUserSettings) {
@@ -75,6 +81,19 @@ exports.setup = async function setup ({rpcAPI, datDaemonProcess, disallowedSaveP
   daemonEvents.on('network-changed', evt => archivesEvents.emit('network-changed', evt))
   daemonEvents.on('folder-synced', evt => archivesEvents.emit('folder-synced', evt))
   daemonEvents.on('folder-sync-error', evt => archivesEvents.emit('folder-sync-error', evt))
+  daemonEvents.on('folder-sync-conflict', evt => archivesEvents.emit('folder-sync-conflict', evt))
+  daemonEvents.on('folder-sync-state', ({details}) => {
+    archivesDb.setLocalSyncState(0, fromURLToKey(details.url), details.state).catch(err => {
+      console.error('Failed to save the folder sync state', err)
+    })
+  })
+  daemonEvents.on('folder-sync-journal', ({details}) => {
+    folderSyncJournalDb.record(fromURLToKey(details.url), details.run).catch(err => {
+      console.error('Failed to record the folder sync', err)
+    })
+  })
+  daemonEvents.on('verify-progress', evt => archivesEvents.emit('verify-progress', evt))
+  datDns.on('key-changed', evt => archivesEvents.emit('dns-key-changed', evt))
 
   // configure the bandwidth throttle
   settingsDb.getAll().then(({dat_bandwidth_limit_up, dat_bandwidth_limit_down}) => {
@@ -86,33 +105,47 @@ exports.setup = async function setup ({rpcAPI, datDaemonProcess, disallowedSaveP
   settingsDb.on('set:dat_bandwidth_limit_up', up => daemon.setBandwidthThrottle({up}))
   settingsDb.on('set:dat_bandwidth_limit_down', down => daemon.setBandwidthThrottle({down}))
 
+  // configure the global seeding schedule
+  settingsDb.get('dat_seed_schedule')
+    .then(schedule => daemon.setSeedSchedule(schedule))
+    .catch(err => console.error('Failed to configure the dat seeding schedule', err))
+  settingsDb.on('set:dat_seed_schedule', schedule => daemon.setSeedSchedule(schedule))
+
+  // configure the peer filters
+  peerFiltersDb.list(0).then(list => {
+    return Promise.all(list.map(filters => daemon.setPeerFilters(filters.key, filters)))
+  }).catch(err => console.error('Failed to configure the dat peer filters', err))
+  peerFiltersDb.on('changed', (key, filters) => daemon.setPeerFilters(key, filters))
+
   // start the GC manager
   datGC.setup()
+
+  // start recording the network stats
+  datNetworkStats.setup()
 }
 
 exports.getDaemon = () => daemon
 
 exports.loadSavedArchives = function () {
   // load and configure all saved archives
+  // the load queue paces the loads, so that seeding doesn't bog down the user's device
+  // owned archives go first, then the most recently accessed
   return archivesDb.query(0, {isSaved: true}).then(
     async (archives) => {
-      // HACK
-      // load the archives one at a time and give 5 seconds between each
-      // why: the purpose of loading saved archives is to seed them
-      // loading them all at once can bog down the user's device
-      // if the user tries to access an archive, Beaker will load it immediately
-      // so spacing out the loads has no visible impact on the user
-      // (except for reducing the overall load for the user)
-      // -prf
-      for (let a of archives) {
-        loadArchive(a.key, a.userSettings)
-        await new Promise(r => setTimeout(r, 5e3)) // wait 5s
-      }
+      archives.sort((a, b) => (b.isOwner - a.isOwner) || ((b.lastAccessTime || 0) - (a.lastAccessTime || 0)))
+      await Promise.all(archives.map((a, i) => (
+        loadQueue.enqueue(a.key, archives.length - i, () => getOrLoadArchive(a.key, a.userSettings))
+          .catch(_ => {}) // logged by loadArchive()
+      )))
     },
     err => console.error('Failed to load networked archives', err)
   )
 }
 
+exports.getLoadQueueStatus = function () {
+  return loadQueue.getStatus()
+}
+
 exports.createEventStream = function createEventStream () {
   return emitStream(archivesEvents)
 }
@@ -325,6 +358,13 @@ async function loadArchiveInner (key, secretKey, userSettings = null) {
   return archive
 }
 
+// keep the archive in the swarm while it's in use (eg by a tab), even outside of its seeding windows
+// - call before loading the archive, so that the load can find peers
+exports.markArchiveInUse = function markArchiveInUse (key) {
+  return daemon.markArchiveInUse(fromURLToKey(key))
+    .catch(err => console.error('Failed to mark the archive as in use', key, err))
+}
+
 const getArchive = exports.getArchive = function getArchive (key) {
   key = fromURLToKey(key)
   return archives[key]
@@ -440,9 +480,14 @@ exports.getArchiveInfo = async function getArchiveInfo (key) {
     networked: userSettings.networked,
     autoDownload: userSettings.autoDownload,
     autoUpload: userSettings.autoUpload,
+    seedSchedule: userSettings.seedSchedule,
     expiresAt: userSettings.expiresAt,
     localSyncPath: userSettings.localSyncPath,
-    previewMode: userSettings.previewMode
+    previewMode: userSettings.previewMode,
+    localSyncPaused: userSettings.localSyncPaused,
+    bandwidthLimitUp: userSettings.bandwidthLimitUp,
+    bandwidthLimitDown: userSettings.bandwidthLimitDown,
+    bandwidthPriority: userSettings.bandwidthPriority
   }
   meta.peers = archiveInfo.peers
   meta.peerInfo = archiveInfo.peerInfo
@@ -457,6 +502,14 @@ exports.clearFileCache = async function clearFileCache (key) {
   return daemon.clearFileCache(key, userSettings)
 }
 
+// check the stored blocks and signatures of an archive
+// - opts.repair: bool, clear the corrupt blocks and download them again
+// - progress is emitted as 'verify-progress'
+exports.verifyArchive = async function verifyArchive (key, opts) {
+  await getOrLoadArchive(key)
+  return daemon.verifyArchive(datEncoding.toStr(key), opts)
+}
+
 // helpers
 // =
 
@@ -521,8 +574,8 @@ function fixStatObject (st) {
   st.mtime = (new Date(st.mtime)).getTime()
   st.ctime = (new Date(st.ctime)).getTime()
   st.isSocket = () => false
-  st.isSymbolicLink = () => false
-  st.isFile = () => (st.mode & 32768) === 32768
+  st.isSymbolicLink = () => (st.mode & 61440) === 40960
+  st.isFile = () => (st.mode & 32768) === 32768 // (true for symlinks too, like hyperdrive's stat, which pda relies on)
   st.isBlockDevice = () => false
   st.isDirectory = () => (st.mode & 16384) === 16384
   st.isCharacterDevice = () => false
@@ -0,0 +1,150 @@
+const os = require('os')
+const debug = require('../lib/debug-logger').debugLogger('dat-load-queue')
+
+// the queue which loads the saved archives at startup, so they can be seeded
+// - a few archives are loaded at a time, highest priority first
+// - when the device is busy (high cpu load, a lagging event loop, or slow loads), only one is loaded at a time
+// - a load which takes longer than the timeout gives up its slot, so that archives which can't be found don't stall the queue
+// archives which the user visits are loaded right away by the library, without waiting on the queue
+
+// constants
+// =
+
+const CONCURRENCY = 3
+const MAX_CPU_LOAD = 0.8 // load average per core
+const MAX_EVENT_LOOP_LAG = 100 // ms
+const SLOW_LOAD_TIME = 10e3 // ms
+const LAG_CHECK_INTERVAL = 500 // ms
+const BACKOFF_WAIT = 2e3 // ms
+const LOAD_TIMEOUT = 30e3 // ms
+
+// globals
+// =
+
+var queue = [] // [{key, priority, load, resolve, reject}], highest priority first
+var loadingCount = 0
+var loadedCount = 0
+var failedCount = 0
+var isBackingOff = false
+var backoffTimeout
+var eventLoopLag = 0
+var lagCheckInterval
+var avgLoadTime = 0
+
+// exported api
+// =
+
+// add an archive to the queue
+// - priority: number, higher loads sooner
+// - load: async function, which loads the archive
+// - opts.timeout: number, ms until the load gives up its slot (it keeps running)
+// - returns a promise for the result of load()
+exports.enqueue = function (key, priority, load, opts = {}) {
+  return new Promise((resolve, reject) => {
+    var existing = queue.find(item => item.key === key)
+    if (existing) {
+      // already waiting, so just move it up if needed
+      existing.priority = Math.max(existing.priority, priority)
+      existing.resolve = chain(existing.resolve, resolve)
+      existing.reject = chain(existing.reject, reject)
+    } else {
+      queue.push({key, priority, load, timeout: opts.timeout || LOAD_TIMEOUT, resolve, reject})
+    }
+    queue.sort((a, b) => b.priority - a.priority)
+    startLagCheck()
+    next()
+  })
+}
+
+// - returns {queued, loading, loaded, failed, isBackingOff}
+exports.getStatus = function () {
+  return {
+    queued: queue.length,
+    loading: loadingCount,
+    loaded: loadedCount,
+    failed: failedCount,
+    isBackingOff
+  }
+}
+
+// internal methods
+// =
+
+function next () {
+  clearTimeout(backoffTimeout)
+  while (queue.length && loadingCount < CONCURRENCY) {
+    // under pressure, drop to one load at a time (but always keep one going, so the queue can't stall)
+    if (loadingCount > 0 && isUnderPressure()) {
+      isBackingOff = true
+      backoffTimeout = setTimeout(next, BACKOFF_WAIT)
+      backoffTimeout.unref()
+      return
+    }
+    isBackingOff = false
+    start(queue.shift())
+  }
+  if (!queue.length && !loadingCount) {
+    stopLagCheck()
+  }
+}
+
+async function start (item) {
+  var startTime = Date.now()
+  var isSlotFree = false
+  loadingCount++
+
+  // give up the slot once the load is done, or has timed out
+  const freeSlot = () => {
+    if (isSlotFree) return
+    isSlotFree = true
+    clearTimeout(timeout)
+    loadingCount--
+    avgLoadTime = avgLoadTime ? (avgLoadTime * 0.8 + (Date.now() - startTime) * 0.2) : (Date.now() - startTime)
+    next()
+  }
+  var timeout = setTimeout(() => {
+    debug('Archive load timed out, moving on', item.key)
+    freeSlot()
+  }, item.timeout)
+
+  try {
+    let res = await item.load()
+    loadedCount++
+    item.resolve(res)
+  } catch (err) {
+    failedCount++
+    debug('Failed to load archive', item.key, err.toString())
+    item.reject(err)
+  }
+  freeSlot()
+}
+
+function isUnderPressure () {
+  var cpuLoad = os.loadavg()[0] / (os.cpus().length || 1) // (always 0 on windows)
+  return cpuLoad > MAX_CPU_LOAD || eventLoopLag > MAX_EVENT_LOOP_LAG || avgLoadTime > SLOW_LOAD_TIME
+}
+
+// measure how late the timer fires, while the queue is in use
+function startLagCheck () {
+  if (lagCheckInterval) return
+  var last = Date.now()
+  lagCheckInterval = setInterval(() => {
+    var now = Date.now()
+    eventLoopLag = Math.max(0, now - last - LAG_CHECK_INTERVAL)
+    last = now
+  }, LAG_CHECK_INTERVAL)
+  lagCheckInterval.unref()
+}
+
+function stopLagCheck () {
+  clearInterval(lagCheckInterval)
+  lagCheckInterval = null
+  eventLoopLag = 0
+}
+
+function chain (fn1, fn2) {
+  return v => {
+    fn1(v)
+    fn2(v)
+  }
+}
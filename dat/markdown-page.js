@@ -0,0 +1,202 @@
+const MarkdownIt = require('markdown-it')
+const slugify = require('slugify')
+
+// the `render_markdown` setting of dat.json controls which .md files are rendered to html:
+// - true: all .md files
+// - false: none
+// - unset: only index.md files (eg when a folder is visited)
+// the source can always be fetched with ?raw=1
+
+// constants
+// =
+
+// larger files are served as-is, rather than rendered
+const MAX_RENDER_SIZE = 5 * 1024 * 1024 // 5mb
+
+// part of the ETag of rendered pages, bump it when the rendered output changes
+exports.RENDERER_VERSION = 1
+
+// headings which are listed in the table of contents
+const TOC_LEVELS = [2, 3]
+
+// raw html is disabled, which is what keeps the output safe
+// (markdown-it also refuses javascript:, vbscript:, and most data: links)
+const md = new MarkdownIt({html: false, linkify: true})
+md.core.ruler.push('heading_anchors', addHeadingAnchors)
+
+const styles = `<style>
+  body {
+    max-width: 760px;
+    margin: 0 auto;
+    padding: 20px 30px 60px;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    font-size: 15px;
+    line-height: 1.6;
+    color: #333;
+  }
+  a {
+    color: #2864dc;
+  }
+  h1, h2, h3, h4, h5, h6 {
+    line-height: 1.25;
+    margin: 1.5em 0 0.5em;
+  }
+  h1, h2 {
+    padding-bottom: 0.3em;
+    border-bottom: 1px solid #eee;
+  }
+  .heading-anchor {
+    margin-left: 0.3em;
+    color: #bbb;
+    text-decoration: none;
+    visibility: hidden;
+  }
+  h1:hover .heading-anchor, h2:hover .heading-anchor, h3:hover .heading-anchor,
+  h4:hover .heading-anchor, h5:hover .heading-anchor, h6:hover .heading-anchor {
+    visibility: visible;
+  }
+  code, pre {
+    font-family: Consolas, 'Lucida Console', Monaco, monospace;
+    font-size: 13px;
+    background: #f5f5f5;
+    border-radius: 3px;
+  }
+  code {
+    padding: 2px 4px;
+  }
+  pre {
+    padding: 10px 14px;
+    overflow: auto;
+  }
+  pre code {
+    padding: 0;
+  }
+  blockquote {
+    margin: 0;
+    padding: 0 1em;
+    color: #777;
+    border-left: 4px solid #ddd;
+  }
+  table {
+    border-collapse: collapse;
+  }
+  th, td {
+    padding: 6px 12px;
+    border: 1px solid #ddd;
+  }
+  img {
+    max-width: 100%;
+  }
+  nav.toc {
+    margin: 1em 0;
+    padding: 0.5em 1em;
+    background: #fafafa;
+    border: 1px solid #eee;
+    border-radius: 3px;
+  }
+  nav.toc ul {
+    margin: 0;
+    padding-left: 1.2em;
+  }
+</style>`
+
+// exported api
+// =
+
+// should the given file be rendered?
+// - manifest: the site's dat.json
+// - entry: the stat of the file, with its path
+exports.shouldRender = function (manifest, entry) {
+  if (!entry.path.toLowerCase().endsWith('.md') || entry.size > MAX_RENDER_SIZE) {
+    return false
+  }
+  var setting = manifest ? manifest.render_markdown : undefined
+  if (typeof setting === 'boolean') {
+    return setting
+  }
+  return /(^|\/)index\.md$/i.test(entry.path)
+}
+
+// render markdown source into a complete html page
+// - opts
+//   - title: string, the page title to use when the document has no h1
+exports.render = function (source, opts = {}) {
+  var env = {headings: []}
+  var body = md.render(source, env)
+  var h1 = env.headings.find(h => h.level === 1)
+  var title = h1 ? h1.text : (opts.title || '')
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${md.utils.escapeHtml(title)}</title>
+    ${styles}
+  </head>
+  <body>
+    ${renderTOC(env.headings)}
+    ${body}
+  </body>
+</html>`
+}
+
+// internal methods
+// =
+
+// give each heading an id and an anchor link to itself, and record it for the toc
+function addHeadingAnchors (state) {
+  var tokens = state.tokens
+  var usedIds = {}
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== 'heading_open') continue
+    let inline = tokens[i + 1]
+    let text = inline.children
+      .filter(t => t.type === 'text' || t.type === 'code_inline')
+      .map(t => t.content)
+      .join('')
+
+    // make a unique id
+    let id = slugify(text, {lower: true, remove: /[^\w\s-]/g}) || 'section'
+    if (usedIds[id]) {
+      id += '-' + usedIds[id]++
+    } else {
+      usedIds[id] = 1
+    }
+    tokens[i].attrSet('id', id)
+
+    // add the anchor link
+    let anchorOpen = new state.Token('link_open', 'a', 1)
+    anchorOpen.attrSet('class', 'heading-anchor')
+    anchorOpen.attrSet('href', '#' + id)
+    anchorOpen.attrSet('aria-hidden', 'true')
+    let anchorText = new state.Token('text', '', 0)
+    anchorText.content = '#'
+    let anchorClose = new state.Token('link_close', 'a', -1)
+    inline.children.push(anchorOpen, anchorText, anchorClose)
+
+    state.env.headings.push({level: Number(tokens[i].tag.slice(1)), text, id})
+  }
+}
+
+function renderTOC (headings) {
+  headings = headings.filter(h => TOC_LEVELS.includes(h.level))
+  if (headings.length < 2) {
+    return '' // not worth a toc
+  }
+
+  var html = ''
+  var depth = 0
+  var minLevel = Math.min(...headings.map(h => h.level))
+  for (let heading of headings) {
+    let level = heading.level - minLevel + 1
+    if (level > depth) {
+      html += '<ul><li>'.repeat(level - depth)
+    } else {
+      html += '</li></ul>'.repeat(depth - level) + '</li><li>'
+    }
+    depth = level
+    html += `<a href="#${heading.id}">${md.utils.escapeHtml(heading.text)}</a>`
+  }
+  html += '</li></ul>'.repeat(depth)
+  return `<nav class="toc">${html}</nav>`
+}
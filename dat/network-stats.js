@@ -0,0 +1,54 @@
+const networkStatsDb = require('../dbs/network-stats')
+const datLibrary = require('./library')
+const {
+  DAT_NETWORK_STATS_SAMPLE_INTERVAL,
+  DAT_NETWORK_STATS_RETENTION
+} = require('../lib/const')
+const debug = require('../lib/debug-logger').debugLogger('dat-network-stats')
+
+// records the network activity of the archives into the profile db
+// - every few minutes, the daemon's totals are sampled and the difference since the last sample is added to the hour
+// - idle archives (no peers, no transfer) aren't recorded, to keep the table small
+// - stats older than DAT_NETWORK_STATS_RETENTION are deleted
+
+// globals
+// =
+
+var lastTotals = {} // key -> {up, down}, as of the last sample
+var lastPruneTime = 0
+
+// exported API
+// =
+
+exports.setup = function () {
+  var interval = setInterval(() => {
+    sample().catch(err => debug('Failed to record the network stats', err))
+  }, DAT_NETWORK_STATS_SAMPLE_INTERVAL)
+  interval.unref()
+}
+
+const sample = exports.sample = async function () {
+  var now = Date.now()
+  var stats = await datLibrary.getDaemon().getNetworkStats()
+  var newTotals = {}
+  for (let key in stats) {
+    let {peers, uploadTotal, downloadTotal} = stats[key]
+    let last = lastTotals[key] || {up: 0, down: 0}
+    newTotals[key] = {up: uploadTotal, down: downloadTotal}
+
+    // the totals start over when an archive is reloaded
+    let bytesUp = uploadTotal >= last.up ? (uploadTotal - last.up) : uploadTotal
+    let bytesDown = downloadTotal >= last.down ? (downloadTotal - last.down) : downloadTotal
+    if (!peers && !bytesUp && !bytesDown) {
+      continue
+    }
+    await networkStatsDb.record(key, now, {peers, bytesUp, bytesDown})
+  }
+  lastTotals = newTotals
+
+  // drop the old stats, once a day
+  if (now - lastPruneTime > 24 * 60 * 60 * 1e3) {
+    lastPruneTime = now
+    await networkStatsDb.deleteOlderThan(now - DAT_NETWORK_STATS_RETENTION)
+  }
+}
@@ -1,18 +1,28 @@
 const {join} = require('path')
+const crypto = require('crypto')
+const {PassThrough} = require('stream')
 const parseDatUrl = require('parse-dat-url')
 const parseRange = require('range-parser')
 const once = require('once')
 const debug = require('../lib/debug-logger').debugLogger('dat-serve')
 const intoStream = require('into-stream')
-const toZipStream = require('hyperdrive-to-zip-stream')
 const slugify = require('slugify')
 
 const datDns = require('./dns')
 const datLibrary = require('./library')
+const archivesDb = require('../dbs/archives')
+const settingsDb = require('../dbs/settings')
 
 const directoryListingPage = require('./directory-listing-page')
+const downloadBundle = require('./download-bundle')
+const markdownPage = require('./markdown-page')
+const searchingPage = require('./searching-page')
+const writeMethods = require('./write-methods')
+const siteHeaders = require('./site-headers')
+const siteRoutes = require('./site-routes')
 const errorPage = require('../lib/error-page')
 const mime = require('../lib/mime')
+const symlinks = require('../lib/symlinks')
 const {makeSafe} = require('../lib/strings')
 
 // HACK detect whether the native builds of some key deps are working -prf
@@ -34,20 +44,49 @@ try {
 // =
 
 // how long till we give up?
+// (the default, which can be changed with the dat_request_timeout setting or per archive)
 const REQUEST_TIMEOUT_MS = 30e3 // 30 seconds
 
+// how long html clients are kept on the "still searching" page before it gives up
+const SEARCHING_PAGE_TIMEOUT_MS = 5 * 60e3 // 5 minutes
+
+// version-pinned urls (dat://key+123/) can never change, so let them be cached indefinitely
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable'
+
+// precompressed siblings which can be served in place of a file (eg file.js.br), in order of preference
+const PRECOMPRESSED_ENCODINGS = [
+  {encoding: 'br', ext: '.br'},
+  {encoding: 'gzip', ext: '.gz'}
+]
+
+// the read methods, CORS preflights, and the write methods
+const ALLOWED_METHODS = ['GET', 'HEAD', 'OPTIONS'].concat(writeMethods.METHODS)
+
 // exported api
 // =
 
 exports.electronHandler = async function (request, respond) {
-  respond = once(respond)
+  var respondOnce = once(respond)
+  var searchingPageStream
+  var searchingPageTimeout
+  var diagnosticHeaders = {}
+  respond = (res) => {
+    if (searchingPageStream) {
+      // the answer arrived after the "still searching" page was sent, so have the page reload to show it
+      if (fileReadStream) fileReadStream.destroy()
+      if (res.data && res.data.destroy) res.data.destroy()
+      clearTimeout(searchingPageTimeout)
+      return searchingPageStream.reload()
+    }
+    res.headers = Object.assign({}, res.headers, diagnosticHeaders)
+    respondOnce(res)
+  }
   var respondError = (code, status, errorPageInfo) => {
     if (errorPageInfo) {
       errorPageInfo.validatedURL = request.url
       errorPageInfo.errorCode = code
     }
-    var accept = request.headers.Accept || ''
-    if (accept.includes('text/html')) {
+    if (acceptsHTML(request)) {
       respond({
         statusCode: code,
         headers: {
@@ -75,7 +114,20 @@ exports.electronHandler = async function (request, respond) {
       errorInfo: `${request.url} is an invalid dat:// URL`
     })
   }
-  if (request.method !== 'GET' && request.method !== 'HEAD') {
+  if (request.method === 'OPTIONS') {
+    // answer CORS preflights, so that other origins with the modifyDat: permission can write
+    return respond({
+      statusCode: 204,
+      headers: {
+        'Allow': ALLOWED_METHODS.join(', '),
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': ALLOWED_METHODS.join(', '),
+        'Access-Control-Allow-Headers': 'Content-Type, Destination, Overwrite'
+      },
+      data: intoStream('')
+    })
+  }
+  if (!ALLOWED_METHODS.includes(request.method)) {
     return respondError(405, 'Method Not Supported')
   }
 
@@ -84,6 +136,19 @@ exports.electronHandler = async function (request, respond) {
   try {
     var archiveKey = await datDns.resolveName(urlp.host, {ignoreCachedMiss: true})
   } catch (err) {
+    if (err.dnsKeyChanged) {
+      let {trustedKey, trustedAt, newKey} = err.keyChange
+      return respondError(409, 'Site key changed', {
+        title: 'This site has changed owners',
+        errorDescription: `dat://${makeSafe(urlp.host)} now points to a different archive`,
+        errorInfo: `
+          <p>Since ${new Date(trustedAt).toLocaleDateString()}, this name has pointed to <code>${trustedKey}</code>.
+          It now points to <code>${newKey}</code>.</p>
+          <p>This can happen when a site moves to a new archive, but it could also mean the name was taken over by someone else.
+          Beaker will not load the new archive until you accept or reject the change.</p>
+        `
+      })
+    }
     return respondError(404, 'No DNS record found for ' + urlp.host, {
       errorDescription: 'No DNS record found',
       errorInfo: `No DNS record found for dat://${urlp.host}`
@@ -93,24 +158,47 @@ exports.electronHandler = async function (request, respond) {
   // setup a timeout
   var timeout
   const cleanup = () => clearTimeout(timeout)
+  var requestTimeout = await getRequestTimeout(archiveKey)
   timeout = setTimeout(() => {
-    // cleanup
     debug('Timed out searching for', archiveKey)
+    var resource = archive ? 'page' : 'site'
+
+    // html clients get a page which keeps searching, and reloads when the answer arrives
+    if (request.method === 'GET' && acceptsHTML(request)) {
+      searchingPageStream = searchingPage.create({
+        url: urlp.href,
+        resource,
+        getStatus: () => getSearchStatus(archiveKey)
+      })
+      searchingPageTimeout = setTimeout(() => searchingPageStream.giveUp(), SEARCHING_PAGE_TIMEOUT_MS)
+      searchingPageStream.once('close', () => clearTimeout(searchingPageTimeout))
+      return respondOnce({
+        statusCode: 202,
+        headers: Object.assign({
+          'Content-Type': 'text/html',
+          'Content-Security-Policy': "default-src 'unsafe-inline' beaker:;",
+          'Access-Control-Allow-Origin': '*'
+        }, diagnosticHeaders),
+        data: searchingPageStream
+      })
+    }
+
+    // cleanup
     if (fileReadStream) {
       fileReadStream.destroy()
       fileReadStream = null
     }
 
     // error page
-    var resource = archive ? 'page' : 'site'
     respondError(504, `Timed out searching for ${resource}`, {
       resource,
       validatedURL: urlp.href
     })
-  }, REQUEST_TIMEOUT_MS)
+  }, requestTimeout)
 
   try {
     // start searching the network
+    await datLibrary.markArchiveInUse(archiveKey)
     archive = await datLibrary.getOrLoadArchive(archiveKey)
   } catch (err) {
     debug('Failed to open archive', archiveKey, err)
@@ -126,7 +214,7 @@ exports.electronHandler = async function (request, respond) {
 
   // checkout version if needed
   try {
-    var {checkoutFS} = datLibrary.getArchiveCheckout(archive, urlp.version)
+    var {checkoutFS, isHistoric, isPreview} = datLibrary.getArchiveCheckout(archive, urlp.version)
   } catch (err) {
     if (err.noPreviewMode) {
       let latestUrl = makeSafe(request.url.replace('+preview', ''))
@@ -142,6 +230,28 @@ exports.electronHandler = async function (request, respond) {
     }
   }
 
+  // describe the archive in the diagnostic headers
+  try {
+    let info = await datLibrary.getDaemon().getArchiveInfo(archiveKey)
+    diagnosticHeaders['X-Dat-Peers'] = String(info.peers || 0)
+    diagnosticHeaders['X-Dat-Version'] = isPreview ? 'preview' : String(isHistoric ? urlp.version : (info.version || 0))
+  } catch (e) {
+    debug('Failed to read archive info', archiveKey, e)
+  }
+
+  // handle writes
+  if (writeMethods.METHODS.includes(request.method)) {
+    cleanup()
+    return respond(await writeMethods.handle(request, {
+      archive,
+      archiveKey,
+      checkoutFS,
+      isHistoric,
+      filepath,
+      getHeader: name => getRequestHeader(request, name)
+    }))
+  }
+
   // read the manifest (it's needed in a couple places)
   var manifest
   try { manifest = await checkoutFS.pda.readManifest() } catch (e) { manifest = null }
@@ -151,20 +261,42 @@ exports.electronHandler = async function (request, respond) {
     cspHeader = manifest.content_security_policy
   }
 
-  // handle zip download
-  if (urlp.query.download_as === 'zip') {
+  // handle zip/tar download
+  var downloadFormat = urlp.query.download_as
+  if (downloadFormat) {
     cleanup()
+    if (!downloadBundle.FORMATS[downloadFormat]) {
+      return respondError(400, 'Unsupported download format', {
+        errorDescription: 'Unsupported download format',
+        errorInfo: `Cannot download as "${makeSafe(String(downloadFormat))}". Try ${Object.keys(downloadBundle.FORMATS).join(', ')}.`
+      })
+    }
+    let {ext, contentType} = downloadBundle.FORMATS[downloadFormat]
+
+    // pin the download to a version, so the bundle can be reproduced later
+    // (preview checkouts read from the local folder, which has no versions)
+    let version = urlp.version
+    if (!isPreview && Number.isNaN(+version)) {
+      try {
+        version = (await datLibrary.getDaemon().getArchiveInfo(archiveKey)).version
+        checkoutFS = datLibrary.getArchiveCheckout(archive, String(version)).checkoutFS
+      } catch (err) {
+        debug('Failed to read archive version for download', archiveKey, err)
+        return respondError(500, 'Failed')
+      }
+    }
 
     // (try to) get the title from the manifest
-    let zipname = false
+    let bundlename = false
     if (manifest) {
-      zipname = slugify(manifest.title || '').toLowerCase()
+      bundlename = slugify(manifest.title || '').toLowerCase()
     }
-    zipname = zipname || 'archive'
+    bundlename = bundlename || 'archive'
+    if (!isPreview) bundlename += `-v${version}`
 
     let headers = {
-      'Content-Type': 'application/zip',
-      'Content-Disposition': `attachment; filename="${zipname}.zip"`,
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${bundlename}${ext}"`,
       'Content-Security-Policy': cspHeader,
       'Access-Control-Allow-Origin': '*'
     }
@@ -177,17 +309,60 @@ exports.electronHandler = async function (request, respond) {
         data: intoStream('')
       })
     } else {
-      // serve the zip
-      var zs = toZipStream(archive, filepath)
-      zs.on('error', err => console.log('Error while producing .zip file', err))
+      // serve the bundle
+      let bs = downloadBundle.createBundleStream(checkoutFS, filepath, downloadFormat, {
+        url: `dat://${archiveKey}+${version}${filepath}`,
+        version,
+        include: urlp.query.include,
+        exclude: urlp.query.exclude
+      })
+      bs.on('error', err => console.log('Error while producing download bundle', err))
       return respond({
         statusCode: 200,
         headers,
-        data: zs
+        data: bs
       })
     }
   }
 
+  // read the manifest's redirects, rewrites, and custom headers
+  try {
+    var routes = siteRoutes.compile(manifest)
+    var headerRules = siteHeaders.compile(manifest)
+  } catch (err) {
+    cleanup()
+    let errors = err.routeErrors || err.headerErrors
+    return respondError(500, 'Invalid dat.json', {
+      title: 'Invalid dat.json',
+      errorDescription: 'This site\'s dat.json has invalid settings',
+      errorInfo: `<ul>${errors.map(e => `<li>${makeSafe(e)}</li>`).join('')}</ul>`
+    })
+  }
+
+  // apply the redirects and rewrites
+  var route = siteRoutes.match(routes, filepath)
+  if (route && route.type === 'redirect') {
+    cleanup()
+    let location = route.to.startsWith('/')
+      ? `dat://${urlp.host}${urlp.version ? ('+' + urlp.version) : ''}${encodeURI(route.to)}`
+      : route.to
+    debug('Redirecting', filepath, 'to', location)
+    return respond({
+      statusCode: route.status,
+      headers: {
+        'Location': location,
+        'Content-Type': 'text/html',
+        'Access-Control-Allow-Origin': '*'
+      },
+      data: intoStream(`<!doctype html><meta http-equiv="refresh" content="0; url=${makeSafe(location)}">`)
+    })
+  }
+  if (route && route.type === 'rewrite') {
+    debug('Rewriting', filepath, 'to', route.to)
+    filepath = route.to
+    hasTrailingSlash = filepath.endsWith('/')
+  }
+
   // lookup entry
   debug('Attempting to lookup', archiveKey, filepath)
   var statusCode = 200
@@ -196,6 +371,7 @@ exports.electronHandler = async function (request, respond) {
   const tryStat = async (path) => {
     // abort if we've already found it
     if (entry) return
+    var sitePath = path
     // apply the web_root config
     if (manifest && manifest.web_root && !urlp.query.disable_web_root) {
       if (path) {
@@ -207,8 +383,18 @@ exports.electronHandler = async function (request, respond) {
     // attempt lookup
     try {
       entry = await checkoutFS.pda.stat(path)
+      if (symlinks.isSymlink(entry)) {
+        // serve what the link points at
+        let resolved = await symlinks.resolveArchiveLink(checkoutFS, path)
+        if (!resolved) throw new Error('Broken symlink')
+        entry = resolved.st
+        path = resolved.path
+      }
       entry.path = path
-    } catch (e) {}
+      entry.sitePath = sitePath
+    } catch (e) {
+      entry = null
+    }
   }
 
   // do lookup
@@ -245,18 +431,22 @@ exports.electronHandler = async function (request, respond) {
       })
     }
 
-    let headers = {
-      'Content-Type': 'text/html',
+    // serve json to clients which ask for it with ?format=json or the Accept header
+    let wantsJSON = urlp.query.format === 'json' || /application\/json/i.test(getRequestHeader(request, 'Accept') || '')
+    let headers = Object.assign({
+      'Content-Type': wantsJSON ? 'application/json' : 'text/html',
       'Content-Security-Policy': cspHeader,
-      'Access-Control-Allow-Origin': '*'
-    }
+      'Access-Control-Allow-Origin': '*',
+      'Vary': 'Accept'
+    }, siteHeaders.getHeaders(headerRules, filepath, {omit: ['Content-Type']}))
     if (request.method === 'HEAD') {
       return respond({statusCode: 204, headers, data: intoStream('')})
     } else {
+      let render = wantsJSON ? directoryListingPage.renderJSON : directoryListingPage.renderHTML
       return respond({
         statusCode: 200,
         headers,
-        data: intoStream(await directoryListingPage(checkoutFS, filepath, manifest && manifest.web_root))
+        data: intoStream(await render(checkoutFS, filepath, manifest && manifest.web_root, urlp.query))
       })
     }
   }
@@ -280,15 +470,66 @@ exports.electronHandler = async function (request, respond) {
     }
   }
 
-  // TODO
-  // Electron is being really aggressive about caching and not following the headers correctly
-  // caching is disabled till we can figure out why
-  // -prf
-  // caching if-match
-  // const ETag = (checkoutFS.isLocalFS) ? false : 'block-' + entry.offset
-  // if (request.headers['if-none-match'] === ETag) {
-  //   return respondError(304, 'Not Modified')
-  // }
+  // render markdown to html, unless the source was asked for with ?raw=1
+  var renderMarkdown = !urlp.query.raw && markdownPage.shouldRender(manifest, entry)
+
+  // serve a precompressed sibling (eg file.js.br) if the client accepts it
+  // (range requests are always served from the uncompressed file)
+  var mimePath = entry.path
+  var contentEncoding
+  var encodingHeaders = {}
+  // (the Vary is sent for rendered markdown too, since ?raw and dat.json changes switch the url between the two)
+  var precompressed = await findPrecompressedSibling(checkoutFS, entry, getRequestHeader(request, 'Accept-Encoding'))
+  if (precompressed.hasSiblings) {
+    encodingHeaders['Vary'] = 'Accept-Encoding'
+  }
+  if (precompressed.entry && !renderMarkdown && !getRequestHeader(request, 'Range')) {
+    debug('Serving precompressed sibling:', precompressed.entry.path)
+    contentEncoding = encodingHeaders['Content-Encoding'] = precompressed.encoding
+    precompressed.entry.sitePath = entry.sitePath
+    entry = precompressed.entry
+  }
+
+  // handle conditional requests
+  var cacheHeaders = getCacheHeaders(entry, {isPreview, version: urlp.version, isRenderedMarkdown: renderMarkdown})
+  var entryHeaders = Object.assign({}, cacheHeaders, encodingHeaders, siteHeaders.getHeaders(headerRules, entry.sitePath))
+  if (isNotModified(request, cacheHeaders)) {
+    cleanup()
+    debug('Entry not modified:', entry.path)
+    return respond({
+      statusCode: 304,
+      headers: Object.assign({
+        'Content-Security-Policy': cspHeader,
+        'Access-Control-Allow-Origin': '*'
+      }, entryHeaders),
+      data: intoStream('')
+    })
+  }
+
+  // serve rendered markdown
+  if (renderMarkdown) {
+    let html
+    try {
+      let source = await checkoutFS.pda.readFile(entry.path, 'utf8')
+      html = markdownPage.render(source, {title: entry.path.split('/').pop()})
+    } catch (err) {
+      cleanup()
+      debug('Error rendering markdown', err)
+      return respondError(500, 'Failed to read file')
+    }
+    cleanup()
+    debug('Serving rendered markdown:', entry.path)
+    let markdownHeaders = Object.assign({
+      'Content-Security-Policy': cspHeader,
+      'Access-Control-Allow-Origin': '*'
+    }, entryHeaders, {
+      'Content-Type': 'text/html; charset=utf-8'
+    })
+    if (request.method === 'HEAD') {
+      return respond({statusCode: 204, headers: markdownHeaders, data: intoStream('')})
+    }
+    return respond({statusCode: 200, headers: markdownHeaders, data: intoStream(html)})
+  }
 
   // fetch the permissions
   // TODO this has been disabled until we can create a better UX -prf
@@ -301,10 +542,57 @@ exports.electronHandler = async function (request, respond) {
 
   // handle range
   headers['Accept-Ranges'] = 'bytes'
-  var range = request.headers.Range || request.headers.range
-  if (range) range = parseRange(entry.size, range)
-  if (range && range.type === 'bytes') {
-    range = range[0] // only handle first range given
+  var range
+  var ranges = getRequestHeader(request, 'Range')
+  if (ranges && !isIfRangeSatisfied(request, cacheHeaders)) {
+    ranges = null // the entry changed since the client's partial copy, so send the whole thing
+  }
+  if (ranges) ranges = parseRange(entry.size, ranges, {combine: true})
+  if (ranges === -1) {
+    cleanup()
+    debug('Unsatisfiable range:', getRequestHeader(request, 'Range'))
+    return respond({
+      statusCode: 416,
+      headers: {
+        'Content-Range': 'bytes */' + entry.size,
+        'Content-Security-Policy': cspHeader,
+        'Access-Control-Allow-Origin': '*'
+      },
+      data: intoStream('')
+    })
+  }
+  if (ranges && ranges.type === 'bytes' && ranges.length > 1) {
+    // serve all of the ranges as multipart/byteranges
+    let boundary = crypto.randomBytes(16).toString('hex')
+    let parts = toMultipartParts(entry, ranges, boundary)
+    Object.assign(headers, {
+      'Content-Type': 'multipart/byteranges; boundary=' + boundary,
+      'Content-Length': parts.reduce((acc, part) => acc + part.head.length + part.range.end - part.range.start + 1, 0) + parts.tail.length,
+      'Content-Security-Policy': cspHeader,
+      'Access-Control-Allow-Origin': '*'
+    }, cacheHeaders, encodingHeaders, siteHeaders.getHeaders(headerRules, entry.sitePath, {omit: ['Content-Type']}))
+    debug('Serving ranges:', ranges)
+
+    if (request.method === 'HEAD') {
+      cleanup()
+      return respond({statusCode: 204, headers, data: intoStream('')})
+    }
+    let dataStream = createMultipartStream(checkoutFS, entry, parts, {
+      onReadStream: rs => { fileReadStream = rs },
+      onFirstChunk: () => {
+        // cleanup the timeout now, as bytes have begun to stream
+        cleanup()
+        respond({statusCode: 206, headers, data: dataStream})
+      }
+    })
+    dataStream.once('error', err => {
+      debug('Error reading file', err)
+      respondError(500, 'Failed to read file')
+    })
+    return
+  }
+  if (ranges && ranges.type === 'bytes') {
+    range = ranges[0]
     statusCode = 206
     headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + entry.size
     headers['Content-Length'] = range.end - range.start + 1
@@ -319,7 +607,7 @@ exports.electronHandler = async function (request, respond) {
   debug('Entry found:', entry.path)
   fileReadStream = checkoutFS.createReadStream(entry.path, range)
   var dataStream = fileReadStream
-    .pipe(mime.identifyStream(entry.path, mimeType => {
+    .pipe(mime.identifyStream(mimePath, mimeType => {
       // cleanup the timeout now, as bytes have begun to stream
       cleanup()
 
@@ -328,18 +616,8 @@ exports.electronHandler = async function (request, respond) {
       Object.assign(headers, {
         'Content-Type': mimeType,
         'Content-Security-Policy': cspHeader,
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'no-cache'
-      })
-      // TODO
-      // Electron is being really aggressive about caching and not following the headers correctly
-      // caching is disabled till we can figure out why
-      // -prf
-      // if (ETag) {
-      //   Object.assign(headers, {ETag})
-      // } else {
-      //   Object.assign(headers, {'Cache-Control': 'no-cache'})
-      // }
+        'Access-Control-Allow-Origin': '*'
+      }, entryHeaders)
 
       if (request.method === 'HEAD') {
         dataStream.destroy() // stop reading data
@@ -347,7 +625,7 @@ exports.electronHandler = async function (request, respond) {
       } else {
         respond({statusCode, headers, data: dataStream})
       }
-    }))
+    }, {contentEncoding}))
 
   // handle empty files
   fileReadStream.once('end', () => {
@@ -356,10 +634,10 @@ exports.electronHandler = async function (request, respond) {
       debug('Served empty file')
       respond({
         statusCode: 200,
-        headers: {
+        headers: Object.assign({
           'Content-Security-Policy': cspHeader,
           'Access-Control-Allow-Origin': '*'
-        },
+        }, entryHeaders),
         data: intoStream('')
       })
     }
@@ -371,3 +649,209 @@ exports.electronHandler = async function (request, respond) {
     if (!headersSent) respondError(500, 'Failed to read file')
   })
 }
+
+// internal methods
+// =
+
+// read the timeout of the archive's user settings, then the global setting
+async function getRequestTimeout (archiveKey) {
+  try {
+    let userSettings = await archivesDb.getUserSettings(0, archiveKey)
+    if (userSettings.requestTimeout > 0) return userSettings.requestTimeout
+    let setting = Number(await settingsDb.get('dat_request_timeout'))
+    if (setting > 0) return setting
+  } catch (e) {
+    debug('Failed to read the request timeout settings', e)
+  }
+  return REQUEST_TIMEOUT_MS
+}
+
+// the live network stats shown by the "still searching" page
+async function getSearchStatus (archiveKey) {
+  var info = await datLibrary.getDaemon().getArchiveInfo(archiveKey)
+  var networkStats = info.networkStats || {}
+  return {
+    peers: info.peers,
+    downloadTotal: networkStats.downloadTotal,
+    downloadSpeed: networkStats.downloadSpeed
+  }
+}
+
+function acceptsHTML (request) {
+  return (getRequestHeader(request, 'Accept') || '').includes('text/html')
+}
+
+// electron doesn't normalize the casing of request headers
+function getRequestHeader (request, name) {
+  name = name.toLowerCase()
+  for (let k in request.headers) {
+    if (k.toLowerCase() === name) return request.headers[k]
+  }
+}
+
+// produce the caching headers for an entry
+// - published entries get a validator derived from the entry's content-feed offset,
+//   which changes whenever a new version of the file is written
+// - version-pinned urls can be cached forever
+// - preview checkouts read from the local folder and can change at any time, so they are never cached
+// - rendered markdown gets its own validator, so that it's never confused with the raw file
+//   (which is served for the same entry with ?raw, or when dat.json turns render_markdown off)
+function getCacheHeaders (entry, {isPreview, version, isRenderedMarkdown}) {
+  if (isPreview) {
+    return {'Cache-Control': 'no-cache'}
+  }
+  var representation = isRenderedMarkdown ? `-md${markdownPage.RENDERER_VERSION}` : ''
+  var headers = {
+    'ETag': `"block-${entry.offset}-${entry.size}${representation}"`,
+    'Cache-Control': (version && !Number.isNaN(+version)) ? IMMUTABLE_CACHE_CONTROL : 'no-cache'
+  }
+  if (entry.mtime) {
+    headers['Last-Modified'] = (new Date(entry.mtime)).toUTCString()
+  }
+  return headers
+}
+
+// find a precompressed sibling of the entry which the client accepts
+// - returns {hasSiblings, encoding, entry}
+// - hasSiblings is true if any sibling exists, as the response then varies by Accept-Encoding
+async function findPrecompressedSibling (checkoutFS, entry, acceptEncoding) {
+  var res = {hasSiblings: false, encoding: null, entry: null}
+  if (PRECOMPRESSED_ENCODINGS.some(({ext}) => entry.path.endsWith(ext))) {
+    return res // already compressed
+  }
+  var accepted = parseAcceptEncoding(acceptEncoding)
+  for (let {encoding, ext} of PRECOMPRESSED_ENCODINGS) {
+    let sibling
+    try { sibling = await checkoutFS.pda.stat(entry.path + ext) } catch (e) { continue }
+    if (!sibling.isFile()) continue
+    res.hasSiblings = true
+    if (!res.entry && accepted(encoding)) {
+      sibling.path = entry.path + ext
+      res.encoding = encoding
+      res.entry = sibling
+    }
+  }
+  return res
+}
+
+// parse an Accept-Encoding header into a test function
+// - codings with q=0 are refused, '*' accepts anything which isn't listed
+function parseAcceptEncoding (header) {
+  var qvalues = {}
+  var items = (header || '').split(',')
+  items.forEach(item => {
+    var [coding, ...params] = item.trim().toLowerCase().split(';')
+    if (!coding) return
+    var q = 1
+    params.forEach(param => {
+      var [k, v] = param.trim().split('=')
+      if (k === 'q') q = Number(v)
+    })
+    qvalues[coding] = Number.isNaN(q) ? 0 : q
+  })
+  return encoding => {
+    if (encoding in qvalues) return qvalues[encoding] > 0
+    return ('*' in qvalues) && qvalues['*'] > 0
+  }
+}
+
+// check the request's conditional headers against the entry's validators
+// - If-None-Match takes precedence over If-Modified-Since, per RFC 7232
+function isNotModified (request, cacheHeaders) {
+  var ifNoneMatch = getRequestHeader(request, 'If-None-Match')
+  if (ifNoneMatch) {
+    if (!cacheHeaders.ETag) return false
+    if (ifNoneMatch.trim() === '*') return true
+    return ifNoneMatch.split(',').some(tag => normalizeETag(tag) === normalizeETag(cacheHeaders.ETag))
+  }
+
+  var ifModifiedSince = getRequestHeader(request, 'If-Modified-Since')
+  if (ifModifiedSince && cacheHeaders['Last-Modified']) {
+    let since = Date.parse(ifModifiedSince)
+    let mtime = Date.parse(cacheHeaders['Last-Modified']) // parsed from the header to drop the sub-second precision
+    if (!Number.isNaN(since) && mtime <= since) return true
+  }
+  return false
+}
+
+// weak comparison, as If-None-Match requires
+function normalizeETag (tag) {
+  return tag.trim().replace(/^W\//, '')
+}
+
+// check whether a Range request should be honored
+// - If-Range must be an exact (strong) match of the entry's current validator, otherwise the full entry is sent
+function isIfRangeSatisfied (request, cacheHeaders) {
+  var ifRange = getRequestHeader(request, 'If-Range')
+  if (!ifRange) return true
+  ifRange = ifRange.trim()
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !!cacheHeaders.ETag && ifRange === cacheHeaders.ETag
+  }
+  if (!cacheHeaders['Last-Modified']) return false
+  return Date.parse(ifRange) === Date.parse(cacheHeaders['Last-Modified'])
+}
+
+// produce the part-headers of a multipart/byteranges body
+// - the part content-type must be written before any data is read, so it's identified by name only
+function toMultipartParts (entry, ranges, boundary) {
+  var mimeType = mime.identify(entry.path)
+  var parts = ranges.map((range, i) => ({
+    range,
+    head: Buffer.from(
+      (i > 0 ? '\r\n' : '') +
+      `--${boundary}\r\n` +
+      `Content-Type: ${mimeType}\r\n` +
+      `Content-Range: bytes ${range.start}-${range.end}/${entry.size}\r\n\r\n`
+    )
+  }))
+  parts.tail = Buffer.from(`\r\n--${boundary}--\r\n`)
+  return parts
+}
+
+// stream each of the parts, one after the other, into a single body
+// - onReadStream(rs) is called with each entry read-stream as it's opened
+// - onFirstChunk() is called once the first bytes of the entry arrive
+// - if the body is closed early (eg the request was cancelled) the current read-stream is destroyed
+function createMultipartStream (checkoutFS, entry, parts, {onReadStream, onFirstChunk}) {
+  var out = new PassThrough()
+  var hasReadData = false
+  var isClosed = false
+  var currentReadStream = null
+  const teardown = () => {
+    isClosed = true
+    if (currentReadStream) currentReadStream.destroy()
+  }
+  out.once('close', teardown)
+  out.once('error', teardown)
+  streamParts().catch(err => out.destroy(err))
+
+  async function streamParts () {
+    for (let part of parts) {
+      if (isClosed) return
+      out.write(part.head)
+      await new Promise((resolve, reject) => {
+        var rs = currentReadStream = checkoutFS.createReadStream(entry.path, part.range)
+        onReadStream(rs)
+        rs.on('data', chunk => {
+          if (!hasReadData) {
+            hasReadData = true
+            onFirstChunk()
+          }
+          if (!out.write(chunk)) {
+            // backpressure
+            rs.pause()
+            out.once('drain', () => rs.resume())
+          }
+        })
+        rs.once('end', resolve)
+        rs.once('close', resolve) // (destroyed by teardown)
+        rs.once('error', reject)
+      })
+      currentReadStream = null
+    }
+    if (!isClosed) out.end(parts.tail)
+  }
+
+  return out
+}
@@ -0,0 +1,90 @@
+const {PassThrough} = require('stream')
+const bytes = require('bytes')
+const {pluralize, makeSafe} = require('../lib/strings')
+
+// the interim page which the dat:// handler streams when a request outlives its timeout
+// - a status line is appended every few seconds, and css only shows the latest one
+// - when the answer finally arrives, a reload is appended so that the page is replaced by it
+
+// constants
+// =
+
+const STATUS_INTERVAL_MS = 2e3
+
+const styles = `<style>
+  body {
+    max-width: 650px;
+    margin: 30vh auto 0;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Ubuntu, Cantarell, "Oxygen Sans", "Helvetica Neue", sans-serif;
+    font-size: 14px;
+    color: #777;
+  }
+  h1 {
+    margin: 0 0 20px;
+    color: #333;
+    font-weight: 400;
+    font-size: 22px;
+  }
+  p {
+    display: none;
+  }
+  p:last-of-type {
+    display: block;
+  }
+  a {
+    color: blue;
+  }
+</style>`
+
+// exported api
+// =
+
+// start streaming the page
+// - url: string, the url which is being searched for
+// - resource: 'site' | 'page'
+// - getStatus: async function, returns {peers, downloadTotal, downloadSpeed}
+// - returns the page stream, with methods to finish it
+exports.create = function ({url, resource, getStatus}) {
+  var stream = new PassThrough()
+  var isFinished = false
+
+  stream.write(`<!doctype html>
+<meta charset="UTF-8">
+<title>Searching for ${makeSafe(url)}</title>
+${styles}
+<h1>Still searching for this ${resource}...</h1>
+`)
+
+  async function writeStatus () {
+    var status
+    try { status = await getStatus() } catch (e) { status = {} }
+    if (isFinished) return
+    var peers = status.peers || 0
+    var line = `Connected to ${peers} ${pluralize(peers, 'peer')}`
+    if (status.downloadTotal) {
+      line += ` &middot; ${bytes(status.downloadTotal)} downloaded`
+      if (status.downloadSpeed) line += ` (${bytes(status.downloadSpeed)}/s)`
+    }
+    stream.write(`<p>${line}</p>\n`)
+  }
+  writeStatus()
+  var interval = setInterval(writeStatus, STATUS_INTERVAL_MS)
+
+  const finish = (html) => {
+    if (isFinished) return
+    isFinished = true
+    clearInterval(interval)
+    if (typeof html === 'string') stream.end(html)
+  }
+
+  // the answer is ready, so load it
+  stream.reload = () => finish(`<script>window.location.reload()</script>\n`)
+
+  // give up on the search
+  stream.giveUp = () => finish(`<p>It doesn't seem like anybody is sharing this ${resource} right now. <a href="beaker://watchlist/?url=${makeSafe(url)}">Add it to the watchlist</a> or <a href="javascript:window.location.reload()">try again</a>.</p>\n`)
+
+  // the page was closed
+  stream.once('close', () => finish())
+
+  return stream
+}
@@ -0,0 +1,79 @@
+const anymatch = require('anymatch')
+const {DAT_SITE_CONFIGURABLE_HEADERS} = require('../lib/const')
+
+// the `headers` section of dat.json
+// maps path globs to the response headers which should be set on matching files, eg:
+/*
+{
+  "headers": {
+    "/assets/**": {"Cache-Control": "max-age=3600"},
+    "*.html": {"X-Frame-Options": "DENY", "Referrer-Policy": "no-referrer"}
+  }
+}
+*/
+// - globs without a leading slash match at any depth, as in .datignore
+// - when several globs match a path, the later ones take precedence
+// - only the headers in DAT_SITE_CONFIGURABLE_HEADERS can be set
+
+// exported api
+// =
+
+// read and validate the header rules of a manifest
+// - throws an error with a `headerErrors` array if any rule is invalid
+exports.compile = function (manifest) {
+  var section = manifest && manifest.headers
+  if (typeof section === 'undefined' || section === null) {
+    return []
+  }
+
+  var errors = []
+  var rules = []
+  if (typeof section !== 'object' || Array.isArray(section)) {
+    errors.push('"headers" must be an object of path globs')
+  } else {
+    for (let glob in section) {
+      let headers = section[glob]
+      let label = `headers["${glob}"]`
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        errors.push(`${label} must be an object`)
+        continue
+      }
+
+      let values = {}
+      for (let name in headers) {
+        let canonicalName = DAT_SITE_CONFIGURABLE_HEADERS.find(h => h.toLowerCase() === name.toLowerCase())
+        if (!canonicalName) {
+          errors.push(`${label} sets "${name}", which sites are not allowed to set`)
+        } else if (typeof headers[name] !== 'string' || /[\r\n]/.test(headers[name])) {
+          errors.push(`${label}["${name}"] must be a single-line string`)
+        } else {
+          values[canonicalName] = headers[name]
+        }
+      }
+      rules.push({glob: glob.startsWith('/') ? glob : ('**/' + glob), values})
+    }
+  }
+
+  if (errors.length) {
+    let err = new Error('Invalid headers in dat.json')
+    err.headerErrors = errors
+    throw err
+  }
+  return rules
+}
+
+// get the headers which apply to a path
+// - opts
+//   - omit: Array<string>, headers which should not be included (eg when the response type is fixed)
+exports.getHeaders = function (rules, filepath, opts = {}) {
+  var headers = {}
+  for (let rule of rules) {
+    if (anymatch(rule.glob, filepath)) {
+      Object.assign(headers, rule.values)
+    }
+  }
+  if (opts.omit) {
+    opts.omit.forEach(name => { delete headers[name] })
+  }
+  return headers
+}
@@ -0,0 +1,141 @@
+// the `redirects` and `rewrites` sections of dat.json
+// both are lists of {from, to} rules, eg:
+/*
+{
+  "redirects": [
+    {"from": "/blog/:year/:slug", "to": "/posts/:slug", "status": 301},
+    {"from": "/docs/*", "to": "dat://docs.beakerbrowser.com/:splat", "status": 302}
+  ],
+  "rewrites": [
+    {"from": "/app/*", "to": "/app/index.html"}
+  ]
+}
+*/
+// - `:name` matches a single path segment, `*` (only at the end) matches the rest of the path as `:splat`
+// - redirects respond with their `status` (301, 302, 307 or 308, default 301) and may point off-site,
+//   but only to a path or to a dat:, https: or http: URL
+// - rewrites serve a different path of the same site without changing the URL
+// - redirects are evaluated before rewrites, and the first matching rule wins
+
+// constants
+// =
+
+const REDIRECT_STATUS_CODES = [301, 302, 307, 308]
+const DEFAULT_REDIRECT_STATUS_CODE = 301
+const PLACEHOLDER_REGEX = /:([a-z_][a-z0-9_]*)/ig
+const REDIRECT_URL_REGEX = /^(dat|https?):\/\//i
+
+// exported api
+// =
+
+// read and validate the route rules of a manifest
+// - throws an error with a `routeErrors` array if any rule is invalid
+exports.compile = function (manifest) {
+  var errors = []
+  var redirects = compileRules(manifest, 'redirects', errors)
+  var rewrites = compileRules(manifest, 'rewrites', errors)
+  if (errors.length) {
+    let err = new Error('Invalid redirects or rewrites in dat.json')
+    err.routeErrors = errors
+    throw err
+  }
+  return {redirects, rewrites}
+}
+
+// find the first rule which matches the path
+// - returns {type: 'redirect'|'rewrite', to, status} or null
+exports.match = function (routes, filepath) {
+  for (let type of ['redirects', 'rewrites']) {
+    for (let rule of routes[type]) {
+      let match = rule.regex.exec(filepath)
+      if (!match) continue
+      let params = {}
+      rule.params.forEach((name, i) => { params[name] = match[i + 1] })
+      let to = rule.to.replace(PLACEHOLDER_REGEX, (_, name) => params[name])
+      if (type === 'redirects') {
+        return {type: 'redirect', to, status: rule.status}
+      }
+      return {type: 'rewrite', to}
+    }
+  }
+  return null
+}
+
+// internal methods
+// =
+
+function compileRules (manifest, section, errors) {
+  var rules = manifest && manifest[section]
+  if (typeof rules === 'undefined' || rules === null) {
+    return []
+  }
+  if (!Array.isArray(rules)) {
+    errors.push(`"${section}" must be an array`)
+    return []
+  }
+
+  var compiled = []
+  rules.forEach((rule, i) => {
+    var label = `${section}[${i}]`
+    if (!rule || typeof rule !== 'object') {
+      return errors.push(`${label} must be an object`)
+    }
+    if (typeof rule.from !== 'string' || !rule.from.startsWith('/')) {
+      return errors.push(`${label}.from must be a path starting with "/"`)
+    }
+    if (typeof rule.to !== 'string' || !rule.to) {
+      return errors.push(`${label}.to must be a string`)
+    }
+    if (rule.from.indexOf('*') !== -1 && rule.from.indexOf('*') !== rule.from.length - 1) {
+      return errors.push(`${label}.from can only have a "*" at the end`)
+    }
+
+    var status
+    if (section === 'redirects') {
+      status = (typeof rule.status === 'undefined') ? DEFAULT_REDIRECT_STATUS_CODE : rule.status
+      if (!REDIRECT_STATUS_CODES.includes(status)) {
+        return errors.push(`${label}.status must be one of ${REDIRECT_STATUS_CODES.join(', ')}`)
+      }
+      if (!rule.to.startsWith('/') && !REDIRECT_URL_REGEX.test(rule.to)) {
+        return errors.push(`${label}.to must be a path starting with "/" or a dat:, https: or http: URL`)
+      }
+    } else if (!rule.to.startsWith('/')) {
+      return errors.push(`${label}.to must be a path starting with "/"`)
+    }
+
+    var {regex, params} = toRegex(rule.from)
+    var unknownParams = (rule.to.match(PLACEHOLDER_REGEX) || []).map(p => p.slice(1)).filter(p => !params.includes(p))
+    if (unknownParams.length) {
+      return errors.push(`${label}.to uses ${unknownParams.map(p => ':' + p).join(', ')}, which ${label}.from does not define`)
+    }
+
+    compiled.push({regex, params, to: rule.to, status})
+  })
+  return compiled
+}
+
+// convert a `from` pattern into a regex
+// - without a splat, a trailing slash is optional, so '/foo' and '/foo/' match the same rule
+function toRegex (pattern) {
+  var params = []
+  var hasSplat = pattern.endsWith('*')
+  pattern = hasSplat ? pattern.slice(0, -1) : pattern.replace(/\/$/, '')
+  var source = pattern
+    .split(PLACEHOLDER_REGEX)
+    .map((part, i) => {
+      if (i % 2 === 1) {
+        // a placeholder name
+        params.push(part)
+        return '([^/]+)'
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  if (hasSplat) {
+    params.push('splat')
+    source += '(.*)'
+  } else {
+    source += '/?'
+  }
+  return {regex: new RegExp('^' + source + '$'), params}
+}
@@ -0,0 +1,298 @@
+const fs = require('fs')
+const pify = require('pify')
+const parseDatUrl = require('parse-dat-url')
+const intoStream = require('into-stream')
+const debug = require('../lib/debug-logger').debugLogger('dat-serve')
+const datDns = require('./dns')
+const archivesDb = require('../dbs/archives')
+const {
+  assertUnprotectedFilePath,
+  assertWritePermission,
+  assertQuotaPermission,
+  assertValidFilePath,
+  assertValidPath
+} = require('./write-permissions')
+const {
+  PermissionsError,
+  ArchiveNotWritableError,
+  EntryAlreadyExistsError,
+  InvalidPathError,
+  QuotaExceededError
+} = require('beaker-error-constants')
+
+// the WebDAV-style write methods of the dat:// protocol
+// - PUT writes the request body to a file
+// - DELETE removes a file, or a folder and everything in it
+// - MKCOL makes a folder
+// - COPY and MOVE take their target from the Destination header, and refuse to replace it if Overwrite is F
+// writes are only accepted from the archive's own pages and from origins which hold the modifyDat: permission
+// (the user can't be prompted, because there's no page to show the prompt in)
+
+// constants
+// =
+
+exports.METHODS = ['PUT', 'DELETE', 'MKCOL', 'COPY', 'MOVE']
+
+const ERROR_STATUS_CODES = {
+  ArchiveNotWritableError: 403,
+  PermissionsError: 403,
+  UserDeniedError: 403,
+  ProtectedFileNotWritableError: 403,
+  InvalidPathError: 400,
+  NotFoundError: 404,
+  SourceNotFoundError: 404,
+  NotAFileError: 409,
+  NotAFolderError: 409,
+  ParentFolderDoesntExistError: 409,
+  DestDirectoryNotEmpty: 409,
+  EntryAlreadyExistsError: 409,
+  QuotaExceededError: 507
+}
+
+// exported api
+// =
+
+// handle a write request
+// - ctx
+//   - archive: the archive being written
+//   - archiveKey: string
+//   - checkoutFS: the checkout of the archive being written
+//   - isHistoric: bool, is the checkout of an old version?
+//   - filepath: string, the target of the request
+//   - getHeader: function(name), reads a request header
+// - returns the response object for electron's protocol handler
+exports.handle = async function (request, ctx) {
+  try {
+    if (ctx.isHistoric) {
+      throw new ArchiveNotWritableError('Cannot modify a historic version')
+    }
+    var sender = getSender(request, ctx)
+    var {statusCode} = await handlers[request.method](request, ctx, sender)
+    debug('Handled', request.method, ctx.filepath)
+    return toResponse(statusCode)
+  } catch (err) {
+    debug('Failed to handle', request.method, ctx.filepath, err)
+    return toResponse(err.statusCode || ERROR_STATUS_CODES[err.name] || 500, err.message)
+  }
+}
+
+// internal methods
+// =
+
+const handlers = {
+  async PUT (request, {archive, checkoutFS, filepath}, sender) {
+    // check everything before the body is read, so that refused uploads aren't buffered
+    await assertWritePermission(archive, sender, {prompt: false})
+    assertValidFilePath(filepath)
+    assertUnprotectedFilePath(filepath, sender)
+    var bodySize = await readRequestBodySize(request)
+    await assertQuotaPermission(archive, archivesDb.extractOrigin(sender.getURL()), bodySize)
+    var body = await readRequestBody(request, bodySize)
+
+    var existing = await safeStat(checkoutFS, filepath)
+    if (existing && existing.isDirectory()) {
+      throw withStatusCode(new EntryAlreadyExistsError('Cannot overwrite a folder with a file'), 409)
+    }
+    await checkoutFS.pda.writeFile(filepath, body)
+    return {statusCode: existing ? 204 : 201}
+  },
+
+  async DELETE (request, {archive, checkoutFS, filepath}, sender) {
+    await assertWritePermission(archive, sender, {prompt: false})
+    filepath = trimTrailingSlash(filepath)
+    assertUnprotectedFilePath(filepath, sender)
+    if (filepath === '/') {
+      throw withStatusCode(new InvalidPathError('Cannot delete the root folder'), 403)
+    }
+
+    await remove(checkoutFS, filepath)
+    return {statusCode: 204}
+  },
+
+  async MKCOL (request, {archive, checkoutFS, filepath}, sender) {
+    if (request.uploadData && request.uploadData.length) {
+      throw withStatusCode(new Error('MKCOL does not accept a request body'), 415)
+    }
+    await assertWritePermission(archive, sender, {prompt: false})
+    filepath = trimTrailingSlash(filepath)
+    assertValidPath(filepath)
+    assertUnprotectedFilePath(filepath, sender)
+
+    if (await safeStat(checkoutFS, filepath)) {
+      throw withStatusCode(new EntryAlreadyExistsError('Cannot overwrite files or folders'), 405)
+    }
+    await checkoutFS.pda.mkdir(filepath)
+    return {statusCode: 201}
+  },
+
+  async COPY (request, ctx, sender) {
+    var {archive, checkoutFS} = ctx
+    var srcpath = trimTrailingSlash(ctx.filepath)
+    var dstpath = await readDestination(ctx)
+    await assertWritePermission(archive, sender, {prompt: false})
+    assertValidPath(dstpath)
+    assertUnprotectedFilePath(dstpath, sender)
+    var sourceSize = await checkoutFS.pda.readSize(srcpath)
+    await assertQuotaPermission(archive, archivesDb.extractOrigin(sender.getURL()), sourceSize)
+
+    var replaced = await clearDestination(checkoutFS, dstpath, ctx)
+    await checkoutFS.pda.copy(srcpath, dstpath)
+    return {statusCode: replaced ? 204 : 201}
+  },
+
+  async MOVE (request, ctx, sender) {
+    var {archive, checkoutFS} = ctx
+    var srcpath = trimTrailingSlash(ctx.filepath)
+    var dstpath = await readDestination(ctx)
+    await assertWritePermission(archive, sender, {prompt: false})
+    assertValidFilePath(dstpath)
+    assertUnprotectedFilePath(srcpath, sender)
+    assertUnprotectedFilePath(dstpath, sender)
+    await checkoutFS.pda.stat(srcpath) // make sure there's something to move, before clearing the way
+
+    var replaced = await clearDestination(checkoutFS, dstpath, ctx)
+    await checkoutFS.pda.rename(srcpath, dstpath)
+    return {statusCode: replaced ? 204 : 201}
+  }
+}
+
+// identify the page which made the request
+// - returns an object which stands in for the sender webContents in the permission checks
+function getSender (request, {getHeader}) {
+  var origin = getHeader('Origin')
+  if (!origin || origin === 'null') {
+    origin = archivesDb.extractOrigin(request.referrer || getHeader('Referer') || '')
+  }
+  if (!origin || origin === 'null') {
+    throw new PermissionsError('Cannot identify the origin of the request')
+  }
+  return {getURL: () => origin}
+}
+
+// electron gives the body as a list of parts
+// - blob parts can't be read from here, so they're refused
+// - returns the byte length of the request body, without reading it
+async function readRequestBodySize (request) {
+  var size = 0
+  for (let part of (request.uploadData || [])) {
+    if (part.bytes) {
+      size += part.bytes.length
+    } else if (part.file) {
+      size += (await pify(fs.stat)(part.file)).size
+    } else {
+      throw withStatusCode(new Error('Unsupported request body. Send a string or an ArrayBuffer.'), 415)
+    }
+  }
+  return size
+}
+
+// - maxBytes: number, the size which was checked against the quota
+//   (files are counted as they're read, and the read is aborted if they grew past it)
+async function readRequestBody (request, maxBytes) {
+  var chunks = []
+  var size = 0
+  const add = chunk => {
+    size += chunk.length
+    if (size > maxBytes) throw new QuotaExceededError()
+    chunks.push(chunk)
+  }
+  for (let part of (request.uploadData || [])) {
+    if (part.bytes) {
+      add(part.bytes)
+    } else if (part.file) {
+      await new Promise((resolve, reject) => {
+        var stream = fs.createReadStream(part.file)
+        stream.on('data', chunk => {
+          try {
+            add(chunk)
+          } catch (err) {
+            stream.destroy()
+            reject(err)
+          }
+        })
+        stream.on('error', reject)
+        stream.on('end', resolve)
+      })
+    }
+  }
+  return Buffer.concat(chunks)
+}
+
+// read the target path of COPY and MOVE
+// - the Destination header can be a path or a url, but it must point into the same archive
+async function readDestination ({archiveKey, getHeader}) {
+  var destination = getHeader('Destination')
+  if (!destination) {
+    throw withStatusCode(new Error('The Destination header is required'), 400)
+  }
+
+  var dstpath = destination
+  if (!destination.startsWith('/')) {
+    let urlp = parseDatUrl(destination)
+    let dstKey
+    try { dstKey = await datDns.resolveName(urlp.host) } catch (e) {}
+    if (urlp.protocol !== 'dat:' || dstKey !== archiveKey) {
+      throw withStatusCode(new Error('The Destination must be in the same archive'), 502)
+    }
+    if (urlp.version) {
+      throw new ArchiveNotWritableError('Cannot modify a historic version')
+    }
+    dstpath = urlp.pathname || '/'
+  }
+
+  dstpath = trimTrailingSlash(decodeURIComponent(dstpath))
+  if (dstpath === '/') {
+    throw withStatusCode(new InvalidPathError('Cannot replace the root folder'), 403)
+  }
+  return dstpath
+}
+
+// make way for a COPY or MOVE
+// - returns true if something was removed
+async function clearDestination (checkoutFS, dstpath, {filepath, getHeader}) {
+  var existing = await safeStat(checkoutFS, dstpath)
+  if (!existing) {
+    return false
+  }
+  if ((getHeader('Overwrite') || 'T').toUpperCase() === 'F') {
+    throw withStatusCode(new EntryAlreadyExistsError('The Destination already exists'), 412)
+  }
+  if (trimTrailingSlash(filepath) === dstpath) {
+    throw withStatusCode(new InvalidPathError('The Destination is the same as the source'), 403)
+  }
+  await remove(checkoutFS, dstpath)
+  return true
+}
+
+async function remove (checkoutFS, filepath) {
+  var st = await checkoutFS.pda.stat(filepath)
+  if (st.isDirectory()) {
+    await checkoutFS.pda.rmdir(filepath, {recursive: true})
+  } else {
+    await checkoutFS.pda.unlink(filepath)
+  }
+}
+
+function safeStat (checkoutFS, filepath) {
+  return checkoutFS.pda.stat(filepath).catch(_ => undefined)
+}
+
+function trimTrailingSlash (str) {
+  return (str.length > 1 && str.endsWith('/')) ? str.slice(0, -1) : str
+}
+
+function withStatusCode (err, statusCode) {
+  err.statusCode = statusCode
+  return err
+}
+
+function toResponse (statusCode, message = '') {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Access-Control-Allow-Origin': '*'
+    },
+    data: intoStream(message)
+  }
+}
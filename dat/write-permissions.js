@@ -0,0 +1,123 @@
+const globals = require('../globals')
+const parseDatURL = require('parse-dat-url')
+const datDns = require('./dns')
+const datLibrary = require('./library')
+const archivesDb = require('../dbs/archives')
+const {
+  DAT_MANIFEST_FILENAME,
+  DAT_QUOTA_DEFAULT_BYTES_ALLOWED,
+  DAT_VALID_PATH_REGEX
+} = require('../lib/const')
+const {
+  PermissionsError,
+  UserDeniedError,
+  QuotaExceededError,
+  ArchiveNotWritableError,
+  ProtectedFileNotWritableError,
+  InvalidPathError
+} = require('beaker-error-constants')
+
+// the checks which guard writes to an archive
+// used by the DatArchive API and by the write methods of the dat:// protocol
+// - sender: the webContents making the write, or any object with a getURL() method
+
+// exported api
+// =
+
+// helper to check if filepath refers to a file that userland is not allowed to edit directly
+exports.assertUnprotectedFilePath = function (filepath, sender) {
+  if (sender.getURL().startsWith('beaker:')) {
+    return // can write any file
+  }
+  if (filepath === '/' + DAT_MANIFEST_FILENAME) {
+    throw new ProtectedFileNotWritableError()
+  }
+}
+
+// - opts
+//   - prompt: bool, ask the user when the sender lacks permission (default true)
+//     (without a prompt, a PermissionsError is thrown instead)
+exports.assertWritePermission = async function (archive, sender, opts = {}) {
+  var archiveKey = archive.key.toString('hex')
+  var details = await datLibrary.getArchiveInfo(archiveKey)
+  const perm = ('modifyDat:' + archiveKey)
+
+  // ensure we have the archive's private key
+  if (!archive.writable) {
+    throw new ArchiveNotWritableError()
+  }
+
+  // ensure we havent deleted the archive
+  if (!details.userSettings.isSaved) {
+    throw new ArchiveNotWritableError('This archive has been deleted. Restore it to continue making changes.')
+  }
+
+  // beaker: always allowed
+  if (sender.getURL().startsWith('beaker:')) {
+    return true
+  }
+
+  // self-modification ALWAYS allowed
+  var senderDatKey = await lookupUrlDatKey(sender.getURL())
+  if (senderDatKey === archiveKey) {
+    return true
+  }
+
+  // ensure the sender is allowed to write
+  var allowed = await globals.permsAPI.queryPermission(perm, sender)
+  if (allowed) return true
+  if (opts.prompt === false) throw new PermissionsError('Write access to this archive has not been granted')
+
+  // ask the user
+  allowed = await globals.permsAPI.requestPermission(perm, sender, { title: details.title })
+  if (!allowed) throw new UserDeniedError()
+  return true
+}
+
+exports.assertQuotaPermission = async function (archive, senderOrigin, byteLength) {
+  // beaker: always allowed
+  if (senderOrigin.startsWith('beaker:')) {
+    return
+  }
+
+  // fetch the archive settings
+  const userSettings = archivesDb.getUserSettings(0, archive.key)
+
+  // fallback to default quota
+  var bytesAllowed = userSettings.bytesAllowed || DAT_QUOTA_DEFAULT_BYTES_ALLOWED
+
+  // update the archive size
+  var size = await datLibrary.updateSizeTracking(archive)
+
+  // check the new size
+  var newSize = (size + byteLength)
+  if (newSize > bytesAllowed) {
+    throw new QuotaExceededError()
+  }
+}
+
+exports.assertValidFilePath = function (filepath) {
+  if (filepath.slice(-1) === '/') {
+    throw new InvalidPathError('Files can not have a trailing slash')
+  }
+  assertValidPath(filepath)
+}
+
+const assertValidPath = exports.assertValidPath = function (fileOrFolderPath) {
+  if (!DAT_VALID_PATH_REGEX.test(fileOrFolderPath)) {
+    throw new InvalidPathError('Path contains invalid characters')
+  }
+}
+
+const lookupUrlDatKey = exports.lookupUrlDatKey = async function (url) {
+  if (url.startsWith('dat://') === false) {
+    return false // not a dat site
+  }
+
+  var urlp = parseDatURL(url)
+  try {
+    return await datDns.resolveName(urlp.hostname)
+  } catch (e) {
+    return false
+  }
+}
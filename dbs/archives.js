@@ -7,9 +7,11 @@ const jetpack = require('fs-jetpack')
 const {InvalidArchiveKeyError} = require('beaker-error-constants')
 const db = require('./profile-data-db')
 const lock = require('../lib/lock')
+const {normalizeSchedule, safeNormalizeSchedule} = require('../lib/seed-schedule')
 const {
   DAT_HASH_REGEX,
-  DAT_GC_EXPIRATION_AGE
+  DAT_GC_EXPIRATION_AGE,
+  DAT_BANDWIDTH_PRIORITIES
 } = require('../lib/const')
 
 // globals
@@ -51,6 +53,8 @@ exports.deleteArchive = async function (key) {
     db.run(`DELETE FROM archives WHERE key=?`, key),
     db.run(`DELETE FROM archives_meta WHERE key=?`, key),
     db.run(`DELETE FROM archives_meta_type WHERE key=?`, key),
+    db.run(`DELETE FROM archive_network_stats WHERE key=?`, key),
+    db.run(`DELETE FROM folder_sync_journal WHERE key=?`, key),
     jetpack.removeAsync(path),
     jetpack.removeAsync(getInternalLocalSyncPath(key))
   ])
@@ -108,9 +112,15 @@ exports.query = async function (profileId, query) {
         archives.networked,
         archives.autoDownload,
         archives.autoUpload,
+        archives.seedSchedule,
         archives.expiresAt,
         archives.localSyncPath,
-        archives.previewMode
+        archives.localSyncPaused,
+        archives.localSyncState,
+        archives.previewMode,
+        archives.bandwidthLimitUp,
+        archives.bandwidthLimitDown,
+        archives.bandwidthPriority
       FROM archives_meta
       LEFT JOIN archives ON archives.key = archives_meta.key
       LEFT JOIN archives_meta_type ON archives_meta_type.key = archives_meta.key
@@ -129,9 +139,15 @@ exports.query = async function (profileId, query) {
       networked: archive.networked != 0,
       autoDownload: archive.autoDownload != 0,
       autoUpload: archive.autoUpload != 0,
+      seedSchedule: safeNormalizeSchedule(archive.seedSchedule),
       expiresAt: archive.expiresAt,
       localSyncPath: archive.localSyncPath,
-      previewMode: archive.previewMode == 1
+      localSyncPaused: archive.localSyncPaused == 1,
+      localSyncState: safeParseJSON(archive.localSyncState),
+      previewMode: archive.previewMode == 1,
+      bandwidthLimitUp: archive.bandwidthLimitUp,
+      bandwidthLimitDown: archive.bandwidthLimitDown,
+      bandwidthPriority: archive.bandwidthPriority || 'normal'
     }
 
     // user settings
@@ -140,9 +156,15 @@ exports.query = async function (profileId, query) {
     delete archive.networked
     delete archive.autoDownload
     delete archive.autoUpload
+    delete archive.seedSchedule
     delete archive.expiresAt
     delete archive.localSyncPath
+    delete archive.localSyncPaused
+    delete archive.localSyncState
     delete archive.previewMode
+    delete archive.bandwidthLimitUp
+    delete archive.bandwidthLimitDown
+    delete archive.bandwidthPriority
 
     // deprecated attrs
     delete archive.createdByTitle
@@ -224,6 +246,13 @@ exports.touch = async function (key, timeVar = 'lastAccessTime', value = -1) {
   }
 }
 
+// write the state of an archive's folder sync
+// - doesn't emit 'update:archive-user-settings', since the state comes from the daemon and isn't a setting
+exports.setLocalSyncState = async function (profileId, key, state) {
+  key = datEncoding.toStr(key)
+  await db.run(`UPDATE archives SET localSyncState = ? WHERE profileId = ? AND key = ?`, [toJSON(state), profileId, key])
+}
+
 // get a single archive's user settings
 // - supresses a not-found with an empty object
 const getUserSettings = exports.getUserSettings = async function (profileId, key) {
@@ -245,7 +274,11 @@ const getUserSettings = exports.getUserSettings = async function (profileId, key
     settings.networked = !!settings.networked
     settings.autoDownload = !!settings.autoDownload
     settings.autoUpload = !!settings.autoUpload
+    settings.seedSchedule = safeNormalizeSchedule(settings.seedSchedule)
+    settings.localSyncPaused = settings.localSyncPaused == 1
+    settings.localSyncState = safeParseJSON(settings.localSyncState)
     settings.previewMode = settings.previewMode == 1
+    settings.bandwidthPriority = settings.bandwidthPriority || 'normal'
     return settings
   } catch (e) {
     return {}
@@ -277,9 +310,15 @@ exports.setUserSettings = async function (profileId, key, newValues = {}) {
         networked: ('networked' in newValues) ? newValues.networked : true,
         autoDownload: ('autoDownload' in newValues) ? newValues.autoDownload : newValues.isSaved,
         autoUpload: ('autoUpload' in newValues) ? newValues.autoUpload : newValues.isSaved,
+        seedSchedule: normalizeSchedule(newValues.seedSchedule),
         expiresAt: newValues.expiresAt,
         localSyncPath: ('localSyncPath' in newValues) ? newValues.localSyncPath : '',
-        previewMode: ('previewMode' in newValues) ? newValues.previewMode : ''
+        previewMode: ('previewMode' in newValues) ? newValues.previewMode : '',
+        localSyncPaused: ('localSyncPaused' in newValues) ? newValues.localSyncPaused : false,
+        requestTimeout: ('requestTimeout' in newValues) ? newValues.requestTimeout : null,
+        bandwidthLimitUp: ('bandwidthLimitUp' in newValues) ? newValues.bandwidthLimitUp : null,
+        bandwidthLimitDown: ('bandwidthLimitDown' in newValues) ? newValues.bandwidthLimitDown : null,
+        bandwidthPriority: DAT_BANDWIDTH_PRIORITIES.includes(newValues.bandwidthPriority) ? newValues.bandwidthPriority : 'normal'
       }
       let valueArray = [
         profileId,
@@ -289,9 +328,15 @@ exports.setUserSettings = async function (profileId, key, newValues = {}) {
         flag(value.networked),
         flag(value.autoDownload),
         flag(value.autoUpload),
+        toJSON(value.seedSchedule),
         value.expiresAt,
         value.localSyncPath,
-        flag(value.previewMode)
+        flag(value.previewMode),
+        flag(value.localSyncPaused),
+        value.requestTimeout,
+        value.bandwidthLimitUp,
+        value.bandwidthLimitDown,
+        value.bandwidthPriority
       ]
       await db.run(`
         INSERT INTO archives
@@ -303,32 +348,50 @@ exports.setUserSettings = async function (profileId, key, newValues = {}) {
             networked,
             autoDownload,
             autoUpload,
+            seedSchedule,
             expiresAt,
             localSyncPath,
-            previewMode
+            previewMode,
+            localSyncPaused,
+            requestTimeout,
+            bandwidthLimitUp,
+            bandwidthLimitDown,
+            bandwidthPriority
           )
           VALUES (${valueArray.map(_ => '?').join(', ')})
       `, valueArray)
     } else {
       // update
-      let { isSaved, hidden, networked, autoDownload, autoUpload, expiresAt, localSyncPath, previewMode } = newValues
+      let { isSaved, hidden, networked, autoDownload, autoUpload, seedSchedule, expiresAt, localSyncPath, previewMode, localSyncPaused, requestTimeout, bandwidthLimitUp, bandwidthLimitDown, bandwidthPriority } = newValues
       if (typeof isSaved === 'boolean') value.isSaved = isSaved
       if (typeof hidden === 'boolean') value.hidden = hidden
       if (typeof networked === 'boolean') value.networked = networked
       if (typeof autoDownload === 'boolean') value.autoDownload = autoDownload
       if (typeof autoUpload === 'boolean') value.autoUpload = autoUpload
+      if ('seedSchedule' in newValues) value.seedSchedule = normalizeSchedule(seedSchedule)
       if (typeof expiresAt === 'number') value.expiresAt = expiresAt
       if (typeof localSyncPath === 'string') value.localSyncPath = localSyncPath
       if (typeof previewMode === 'boolean') value.previewMode = previewMode
+      if (typeof localSyncPaused === 'boolean') value.localSyncPaused = localSyncPaused
+      if (typeof requestTimeout === 'number' || requestTimeout === null) value.requestTimeout = requestTimeout
+      if (typeof bandwidthLimitUp === 'number' || bandwidthLimitUp === null) value.bandwidthLimitUp = bandwidthLimitUp
+      if (typeof bandwidthLimitDown === 'number' || bandwidthLimitDown === null) value.bandwidthLimitDown = bandwidthLimitDown
+      if (DAT_BANDWIDTH_PRIORITIES.includes(bandwidthPriority)) value.bandwidthPriority = bandwidthPriority
       let valueArray = [
         flag(value.isSaved),
         flag(value.hidden),
         flag(value.networked),
         flag(value.autoDownload),
         flag(value.autoUpload),
+        toJSON(value.seedSchedule),
         value.expiresAt,
         value.localSyncPath,
         flag(value.previewMode),
+        flag(value.localSyncPaused),
+        value.requestTimeout,
+        value.bandwidthLimitUp,
+        value.bandwidthLimitDown,
+        value.bandwidthPriority,
         profileId,
         key
       ]
@@ -340,9 +403,15 @@ exports.setUserSettings = async function (profileId, key, newValues = {}) {
             networked = ?,
             autoDownload = ?,
             autoUpload = ?,
+            seedSchedule = ?,
             expiresAt = ?,
             localSyncPath = ?,
-            previewMode = ?
+            previewMode = ?,
+            localSyncPaused = ?,
+            requestTimeout = ?,
+            bandwidthLimitUp = ?,
+            bandwidthLimitDown = ?,
+            bandwidthPriority = ?
           WHERE
             profileId = ? AND key = ?
       `, valueArray)
@@ -472,6 +541,18 @@ function flag (b) {
   return b ? 1 : 0
 }
 
+function toJSON (v) {
+  return v ? JSON.stringify(v) : null
+}
+
+function safeParseJSON (str) {
+  try {
+    return JSON.parse(str)
+  } catch (e) {
+    return null
+  }
+}
+
 exports.extractOrigin = function (originURL) {
   var urlp = url.parse(originURL)
   if (!urlp || !urlp.host || !urlp.protocol) return
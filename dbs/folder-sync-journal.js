@@ -0,0 +1,104 @@
+const datEncoding = require('dat-encoding')
+const db = require('./profile-data-db')
+const lock = require('../lib/lock')
+const {DAT_FOLDER_SYNC_JOURNAL_MAX_ENTRIES} = require('../lib/const')
+
+// the journal of folder syncs, one entry per sync run
+// - direction is 'archive' (folder -> archive), 'folder' (archive -> folder), or 'merge' (both ways)
+// - only the latest DAT_FOLDER_SYNC_JOURNAL_MAX_ENTRIES runs of each archive are kept
+
+// constants
+// =
+
+const DEFAULT_LIMIT = 100
+
+// exported api
+// =
+
+// add a sync run
+// - entry: {direction, startedAt, endedAt, files, conflicts, refusedLinks, bytes, version, error}
+//   - files: [{path, change, to}], where change is 'add' | 'mod' | 'del', and to is 'archive' | 'folder'
+//   - conflicts: [path]
+//   - refusedLinks: [path], the symlinks which weren't synced because they point outside of the folder/archive
+exports.record = async function (key, entry) {
+  key = datEncoding.toStr(key)
+  var files = entry.files || []
+  var count = change => files.filter(f => f.change === change).length
+  var release = await lock('folder-sync-journal-db')
+  try {
+    await db.run(`
+      INSERT INTO folder_sync_journal
+          (key, direction, startedAt, endedAt, added, modified, removed, bytes, files, conflicts, refusedLinks, version, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      key,
+      entry.direction,
+      entry.startedAt,
+      entry.endedAt,
+      count('add'),
+      count('mod'),
+      count('del'),
+      entry.bytes || 0,
+      JSON.stringify(files),
+      JSON.stringify(entry.conflicts || []),
+      JSON.stringify(entry.refusedLinks || []),
+      entry.version,
+      entry.error || null
+    ])
+
+    // drop the old runs
+    await db.run(`
+      DELETE FROM folder_sync_journal
+        WHERE key = ? AND id NOT IN (
+          SELECT id FROM folder_sync_journal WHERE key = ? ORDER BY id DESC LIMIT ?
+        )
+    `, [key, key, DAT_FOLDER_SYNC_JOURNAL_MAX_ENTRIES])
+  } finally {
+    release()
+  }
+}
+
+// get the sync runs of an archive
+// - opts.start, opts.end: timestamps, filters by startedAt
+// - opts.limit: number, defaults to 100
+// - opts.offset: number
+// - returns [{id, direction, startedAt, endedAt, added, modified, removed, bytes, files, conflicts, refusedLinks, version, error}], newest first
+exports.query = async function (key, {start, end, limit, offset} = {}) {
+  var WHERE = ['key = ?']
+  var values = [datEncoding.toStr(key)]
+  if (typeof start === 'number') {
+    WHERE.push('startedAt >= ?')
+    values.push(start)
+  }
+  if (typeof end === 'number') {
+    WHERE.push('startedAt < ?')
+    values.push(end)
+  }
+  values.push(typeof limit === 'number' ? limit : DEFAULT_LIMIT)
+  values.push(typeof offset === 'number' ? offset : 0)
+
+  var entries = await db.all(`
+    SELECT id, direction, startedAt, endedAt, added, modified, removed, bytes, files, conflicts, refusedLinks, version, error
+      FROM folder_sync_journal
+      WHERE ${WHERE.join(' AND ')}
+      ORDER BY startedAt DESC, id DESC
+      LIMIT ? OFFSET ?
+  `, values)
+  entries.forEach(entry => {
+    entry.files = safeParseJSON(entry.files) || []
+    entry.conflicts = safeParseJSON(entry.conflicts) || []
+    entry.refusedLinks = safeParseJSON(entry.refusedLinks) || []
+  })
+  return entries
+}
+
+// internal methods
+// =
+
+function safeParseJSON (str) {
+  try {
+    return JSON.parse(str)
+  } catch (e) {
+    return null
+  }
+}
@@ -2,7 +2,11 @@ module.exports = {
   archives: require('./archives'),
   archiveDrafts: require('./archive-drafts'),
   bookmarks: require('./bookmarks'),
+  folderSyncJournal: require('./folder-sync-journal'),
   history: require('./history'),
+  networkStats: require('./network-stats'),
+  peerFilters: require('./peer-filters'),
+  petnames: require('./petnames'),
   profileData: require('./profile-data-db'),
   settings: require('./settings'),
   sitedata: require('./sitedata'),
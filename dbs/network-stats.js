@@ -0,0 +1,84 @@
+const datEncoding = require('dat-encoding')
+const db = require('./profile-data-db')
+const lock = require('../lib/lock')
+
+// the hourly network stats of archives
+// - hour is the start of the hour, in ms
+// - peers is the most peers seen during the hour
+
+// constants
+// =
+
+const HOUR = 60 * 60 * 1e3
+const DEFAULT_RANGE = 7 * 24 * HOUR
+
+// exported api
+// =
+
+const getHour = exports.getHour = function (ts) {
+  return Math.floor(ts / HOUR) * HOUR
+}
+
+// add a sample to the hour which contains `ts`
+exports.record = async function (key, ts, {peers = 0, bytesUp = 0, bytesDown = 0}) {
+  key = datEncoding.toStr(key)
+  var hour = getHour(ts)
+  var release = await lock('network-stats-db')
+  try {
+    await db.run(`INSERT OR IGNORE INTO archive_network_stats (key, hour) VALUES (?, ?)`, [key, hour])
+    await db.run(`
+      UPDATE archive_network_stats
+        SET peers = MAX(peers, ?), bytesUp = bytesUp + ?, bytesDown = bytesDown + ?
+        WHERE key = ? AND hour = ?
+    `, [peers, bytesUp, bytesDown, key, hour])
+  } finally {
+    release()
+  }
+}
+
+// get the hours of an archive
+// - opts.start, opts.end: timestamps, defaults to the last 7 days
+// - returns [{hour, peers, bytesUp, bytesDown}], oldest first
+exports.query = async function (key, opts) {
+  var {start, end} = toRange(opts)
+  return db.all(`
+    SELECT hour, peers, bytesUp, bytesDown
+      FROM archive_network_stats
+      WHERE key = ? AND hour >= ? AND hour < ?
+      ORDER BY hour
+  `, [datEncoding.toStr(key), getHour(start), end])
+}
+
+// get the totals of every archive which was active
+// - opts.start, opts.end: timestamps, defaults to the last 7 days
+// - returns [{key, hours, peers, bytesUp, bytesDown}], most uploaded first
+//   where hours is the number of active hours, and peers is the most peers in any hour
+exports.summarize = async function (opts) {
+  var {start, end} = toRange(opts)
+  return db.all(`
+    SELECT
+        key,
+        COUNT(hour) AS hours,
+        MAX(peers) AS peers,
+        SUM(bytesUp) AS bytesUp,
+        SUM(bytesDown) AS bytesDown
+      FROM archive_network_stats
+      WHERE hour >= ? AND hour < ?
+      GROUP BY key
+      ORDER BY bytesUp DESC
+  `, [getHour(start), end])
+}
+
+// delete the hours which started before `ts`
+exports.deleteOlderThan = async function (ts) {
+  await db.run(`DELETE FROM archive_network_stats WHERE hour < ?`, [getHour(ts)])
+}
+
+// internal methods
+// =
+
+function toRange ({start, end} = {}) {
+  end = typeof end === 'number' ? end : Date.now()
+  start = typeof start === 'number' ? start : (end - DEFAULT_RANGE)
+  return {start, end}
+}
@@ -0,0 +1,103 @@
+const EventEmitter = require('events')
+const datEncoding = require('dat-encoding')
+const {InvalidArchiveKeyError} = require('beaker-error-constants')
+const db = require('./profile-data-db')
+const lock = require('../lib/lock')
+const {parseRule} = require('../lib/peer-rules')
+const {DAT_HASH_REGEX} = require('../lib/const')
+
+// the peer allow/deny lists of archive replication
+// - key is a dat key, or '*' for the filters of every archive
+// - filters are {lanOnly, allow, deny}, where allow and deny are arrays of rules (see lib/peer-rules.js)
+
+// globals
+// =
+
+var events = new EventEmitter()
+
+// exported api
+// =
+
+exports.on = events.on.bind(events)
+exports.once = events.once.bind(events)
+
+// get the filters of a key
+// - returns empty filters if none are set
+exports.get = async function (profileId, key) {
+  key = normalizeKey(key)
+  var record = await db.get(`SELECT * FROM peer_filters WHERE profileId = ? AND key = ?`, [profileId, key])
+  return record ? toFilters(record) : {key, lanOnly: false, allow: [], deny: []}
+}
+
+exports.list = async function (profileId) {
+  var records = await db.all(`SELECT * FROM peer_filters WHERE profileId = ? ORDER BY key`, [profileId])
+  return records.map(toFilters)
+}
+
+// set the filters of a key
+// - empty filters are removed
+exports.set = async function (profileId, key, {lanOnly, allow, deny} = {}) {
+  key = normalizeKey(key)
+  allow = normalizeRules(allow)
+  deny = normalizeRules(deny)
+
+  var filters = {key, lanOnly: !!lanOnly, allow, deny}
+  var release = await lock('peer-filters-db')
+  try {
+    if (!lanOnly && !allow.length && !deny.length) {
+      await db.run(`DELETE FROM peer_filters WHERE profileId = ? AND key = ?`, [profileId, key])
+      filters = null
+    } else {
+      await db.run(`
+        INSERT OR REPLACE
+          INTO peer_filters (profileId, key, lanOnly, allow, deny, updatedAt)
+          VALUES (?, ?, ?, ?, ?, ?)
+      `, [profileId, key, lanOnly ? 1 : 0, JSON.stringify(allow), JSON.stringify(deny), Math.floor(Date.now() / 1000)])
+    }
+  } finally {
+    release()
+  }
+  events.emit('changed', key, filters)
+}
+
+// internal methods
+// =
+
+function normalizeKey (key) {
+  if (key === '*') return key
+  key = datEncoding.toStr(key)
+  if (!DAT_HASH_REGEX.test(key)) {
+    throw new InvalidArchiveKeyError()
+  }
+  return key
+}
+
+// validate the rules, and drop the blanks and repeats
+function normalizeRules (rules) {
+  if (!rules) return []
+  if (!Array.isArray(rules)) {
+    throw new Error('Peer rules must be given as an array')
+  }
+  rules = rules.map(rule => String(rule).trim()).filter(Boolean)
+  rules.forEach(parseRule) // throws on invalid rules
+  return Array.from(new Set(rules))
+}
+
+function toFilters (record) {
+  return {
+    key: record.key,
+    lanOnly: !!record.lanOnly,
+    allow: parseJSONArray(record.allow),
+    deny: parseJSONArray(record.deny),
+    updatedAt: record.updatedAt
+  }
+}
+
+function parseJSONArray (str) {
+  try {
+    let arr = JSON.parse(str)
+    return Array.isArray(arr) ? arr : []
+  } catch (e) {
+    return []
+  }
+}
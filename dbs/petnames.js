@@ -0,0 +1,83 @@
+const EventEmitter = require('events')
+const datEncoding = require('dat-encoding')
+const db = require('./profile-data-db')
+const lock = require('../lib/lock')
+const {DAT_HASH_REGEX, DAT_PETNAME_REGEX} = require('../lib/const')
+
+// globals
+// =
+
+var events = new EventEmitter()
+
+// exported api
+// =
+
+exports.on = events.on.bind(events)
+exports.once = events.once.bind(events)
+
+exports.get = function (profileId, name) {
+  return db.get(`SELECT name, key, createdAt FROM petnames WHERE profileId = ? AND name = ?`, [profileId, normalizeName(name)])
+}
+
+exports.list = function (profileId) {
+  return db.all(`SELECT name, key, createdAt FROM petnames WHERE profileId = ? ORDER BY name`, [profileId])
+}
+
+exports.add = async function (profileId, name, key) {
+  name = normalizeName(name)
+  key = datEncoding.toStr(key)
+  assertValidName(name)
+  if (!DAT_HASH_REGEX.test(key)) {
+    throw new Error('Invalid key: ' + key)
+  }
+
+  var release = await lock('petnames-db')
+  try {
+    await assertNameUnused(profileId, name)
+    await db.run(`INSERT INTO petnames (profileId, name, key) VALUES (?, ?, ?)`, [profileId, name, key])
+  } finally {
+    release()
+  }
+  events.emit('changed')
+}
+
+exports.rename = async function (profileId, name, newName) {
+  name = normalizeName(name)
+  newName = normalizeName(newName)
+  assertValidName(newName)
+  if (name === newName) return
+
+  var release = await lock('petnames-db')
+  try {
+    await assertNameUnused(profileId, newName)
+    await db.run(`UPDATE petnames SET name = ? WHERE profileId = ? AND name = ?`, [newName, profileId, name])
+  } finally {
+    release()
+  }
+  events.emit('changed')
+}
+
+exports.remove = async function (profileId, name) {
+  await db.run(`DELETE FROM petnames WHERE profileId = ? AND name = ?`, [profileId, normalizeName(name)])
+  events.emit('changed')
+}
+
+// internal methods
+// =
+
+function normalizeName (name) {
+  return String(name || '').toLowerCase()
+}
+
+function assertValidName (name) {
+  if (!DAT_PETNAME_REGEX.test(name) || DAT_HASH_REGEX.test(name)) {
+    throw new Error('Petnames can only contain letters, numbers, and dashes, and can not be a dat key')
+  }
+}
+
+async function assertNameUnused (profileId, name) {
+  var existing = await db.get(`SELECT name FROM petnames WHERE profileId = ? AND name = ?`, [profileId, name])
+  if (existing) {
+    throw new Error(`The petname "${name}" is already in use`)
+  }
+}
@@ -74,6 +74,16 @@ migrations = [
   migration('profile-data.v21.sql'),
   migration('profile-data.v22.sql', {canFail: true}), // canFail for the same reason as v16, ffs
   migration('profile-data.v23.sql'),
+  migration('profile-data.v24.sql'),
+  migration('profile-data.v25.sql'),
+  migration('profile-data.v26.sql'),
+  migration('profile-data.v27.sql'),
+  migration('profile-data.v28.sql'),
+  migration('profile-data.v29.sql'),
+  migration('profile-data.v30.sql'),
+  migration('profile-data.v31.sql'),
+  migration('profile-data.v32.sql'),
+  migration('profile-data.v33.sql'),
 ]
 function migration (file, opts = {}) {
   return cb => {
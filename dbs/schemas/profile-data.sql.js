@@ -11,13 +11,20 @@ CREATE TABLE archives (
   
   previewMode INTEGER, -- automatically publish changes (0) or write to local folder (1)
   localSyncPath TEXT, -- custom local folder that the data is synced to
+  localSyncPaused INTEGER DEFAULT 0, -- is the folder sync paused? (1) or not (0)
+  localSyncState TEXT, -- json {path, version, conflicts}, the base version and unresolved conflicts of the folder sync, see dat/daemon/folder-sync.js
 
   isSaved INTEGER, -- is this archive saved to our library?
   hidden INTEGER DEFAULT 0, -- should this archive be hidden in the library or select-archive modals? (this is useful for internal dats, such as drafts)
   networked INTEGER DEFAULT 1, -- join the swarm (1) or do not swarm (0)
   autoDownload INTEGER DEFAULT 1, -- watch and download all available data (1) or sparsely download on demand (0)
   autoUpload INTEGER DEFAULT 1, -- join the swarm at startup (1) or only swarm when visiting (0)
+  seedSchedule TEXT, -- when to seed, as a json schedule (null = use the global schedule), see lib/seed-schedule.js
   expiresAt INTEGER, -- change autoUpload to 0 at this time (used for temporary seeding)
+  requestTimeout INTEGER, -- how long the dat:// handler searches for this archive's files before giving up, in ms (null = use the setting)
+  bandwidthLimitUp REAL, -- in MB/s (null = no cap of its own)
+  bandwidthLimitDown REAL, -- in MB/s (null = no cap of its own)
+  bandwidthPriority TEXT DEFAULT 'normal', -- 'high' | 'normal' | 'low'
   createdAt INTEGER DEFAULT (strftime('%s', 'now')),
 
   localPath TEXT, -- deprecated
@@ -115,6 +122,50 @@ CREATE TABLE apps (
   FOREIGN KEY (profileId) REFERENCES profiles (id) ON DELETE CASCADE
 );
 
+-- the peer allow/deny lists of archive replication
+CREATE TABLE peer_filters (
+  profileId INTEGER NOT NULL,
+  key TEXT NOT NULL, -- dat key, or '*' for the filters of every archive
+  lanOnly INTEGER DEFAULT 0, -- refuse peers with public addresses (1) or not (0)
+  allow TEXT, -- json array of rules, see lib/peer-rules.js
+  deny TEXT, -- json array of rules
+  updatedAt INTEGER DEFAULT (strftime('%s', 'now')),
+
+  PRIMARY KEY (profileId, key),
+  FOREIGN KEY (profileId) REFERENCES profiles (id) ON DELETE CASCADE
+);
+
+-- the network activity of archives, per hour
+CREATE TABLE archive_network_stats (
+  key TEXT NOT NULL, -- dat key
+  hour INTEGER NOT NULL, -- start of the hour, in ms
+  peers INTEGER DEFAULT 0, -- the most peers seen during the hour
+  bytesUp INTEGER DEFAULT 0,
+  bytesDown INTEGER DEFAULT 0,
+
+  PRIMARY KEY (key, hour)
+);
+CREATE INDEX archive_network_stats_hour ON archive_network_stats (hour);
+
+-- journal of the folder syncs of archives
+CREATE TABLE folder_sync_journal (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT NOT NULL, -- dat key
+  direction TEXT NOT NULL, -- 'archive' | 'folder' | 'merge'
+  startedAt INTEGER NOT NULL,
+  endedAt INTEGER NOT NULL,
+  added INTEGER DEFAULT 0, -- number of files added
+  modified INTEGER DEFAULT 0, -- number of files modified
+  removed INTEGER DEFAULT 0, -- number of files removed
+  bytes INTEGER DEFAULT 0, -- size of the files which were written
+  files TEXT, -- json [{path, change, to}], the changed files
+  conflicts TEXT, -- json [path], the conflicts found by the sync
+  refusedLinks TEXT, -- json [path], the symlinks which weren't synced because they point outside of the folder/archive
+  version INTEGER, -- archive version after the sync
+  error TEXT -- message of the error which failed the sync
+);
+CREATE INDEX folder_sync_journal_key ON folder_sync_journal (key, startedAt);
+
 -- log of the user's app installations
 -- deprecated
 CREATE TABLE apps_log (
@@ -140,6 +191,17 @@ CREATE TABLE watchlist (
   FOREIGN KEY (profileId) REFERENCES profiles (id) ON DELETE CASCADE
 );
 
+-- local names of dat archives, which resolve without dns (eg dat://team-wiki/)
+CREATE TABLE petnames (
+  profileId INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  key TEXT NOT NULL,
+  createdAt INTEGER DEFAULT (strftime('%s', 'now')),
+
+  PRIMARY KEY (profileId, name),
+  FOREIGN KEY (profileId) REFERENCES profiles (id) ON DELETE CASCADE
+);
+
 -- deprecated
 CREATE TABLE workspaces (
   profileId INTEGER NOT NULL,
@@ -166,5 +228,5 @@ INSERT INTO bookmarks (profileId, title, url, pinned) VALUES (0, 'Report an issu
 INSERT INTO bookmarks (profileId, title, url, pinned) VALUES (0, 'Explore the p2p Web', 'dat://taravancil.com/explore-the-p2p-web.md', 1);
 INSERT INTO bookmarks (profileId, title, url, pinned) VALUES (0, 'Support Beaker', 'https://opencollective.com/beaker', 1);
 
-PRAGMA user_version = 23;
+PRAGMA user_version = 33;
 `
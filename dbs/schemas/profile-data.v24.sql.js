@@ -0,0 +1,7 @@
+module.exports = `
+
+-- how long the dat:// handler searches the network for this archive's files before giving up, in ms (null = use the setting)
+ALTER TABLE archives ADD COLUMN requestTimeout INTEGER;
+
+PRAGMA user_version = 24;
+`
@@ -0,0 +1,15 @@
+module.exports = `
+
+-- add a table for local names of dat archives
+CREATE TABLE petnames (
+  profileId INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  key TEXT NOT NULL,
+  createdAt INTEGER DEFAULT (strftime('%s', 'now')),
+
+  PRIMARY KEY (profileId, name),
+  FOREIGN KEY (profileId) REFERENCES profiles (id) ON DELETE CASCADE
+);
+
+PRAGMA user_version = 25;
+`
@@ -0,0 +1,9 @@
+module.exports = `
+
+-- per-archive bandwidth caps in MB/s (null = no cap of its own), and its share of the global caps
+ALTER TABLE archives ADD COLUMN bandwidthLimitUp REAL;
+ALTER TABLE archives ADD COLUMN bandwidthLimitDown REAL;
+ALTER TABLE archives ADD COLUMN bandwidthPriority TEXT DEFAULT 'normal';
+
+PRAGMA user_version = 26;
+`
@@ -0,0 +1,17 @@
+module.exports = `
+
+-- add a table for the peer allow/deny lists of archive replication
+CREATE TABLE peer_filters (
+  profileId INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  lanOnly INTEGER DEFAULT 0,
+  allow TEXT,
+  deny TEXT,
+  updatedAt INTEGER DEFAULT (strftime('%s', 'now')),
+
+  PRIMARY KEY (profileId, key),
+  FOREIGN KEY (profileId) REFERENCES profiles (id) ON DELETE CASCADE
+);
+
+PRAGMA user_version = 27;
+`
@@ -0,0 +1,16 @@
+module.exports = `
+
+-- add a table for the hourly network stats of archives
+CREATE TABLE archive_network_stats (
+  key TEXT NOT NULL,
+  hour INTEGER NOT NULL,
+  peers INTEGER DEFAULT 0,
+  bytesUp INTEGER DEFAULT 0,
+  bytesDown INTEGER DEFAULT 0,
+
+  PRIMARY KEY (key, hour)
+);
+CREATE INDEX archive_network_stats_hour ON archive_network_stats (hour);
+
+PRAGMA user_version = 28;
+`
@@ -0,0 +1,7 @@
+module.exports = `
+
+-- when this archive is seeded, as a json schedule (null = use the global schedule)
+ALTER TABLE archives ADD COLUMN seedSchedule TEXT;
+
+PRAGMA user_version = 29;
+`
@@ -0,0 +1,7 @@
+module.exports = `
+
+-- the state of the three-way folder sync, as json
+ALTER TABLE archives ADD COLUMN localSyncState TEXT;
+
+PRAGMA user_version = 30;
+`
@@ -0,0 +1,22 @@
+module.exports = `
+
+-- add a table for the journal of folder syncs
+CREATE TABLE folder_sync_journal (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT NOT NULL,
+  direction TEXT NOT NULL,
+  startedAt INTEGER NOT NULL,
+  endedAt INTEGER NOT NULL,
+  added INTEGER DEFAULT 0,
+  modified INTEGER DEFAULT 0,
+  removed INTEGER DEFAULT 0,
+  bytes INTEGER DEFAULT 0,
+  files TEXT,
+  conflicts TEXT,
+  version INTEGER,
+  error TEXT
+);
+CREATE INDEX folder_sync_journal_key ON folder_sync_journal (key, startedAt);
+
+PRAGMA user_version = 31;
+`
@@ -0,0 +1,7 @@
+module.exports = `
+
+-- is the folder sync paused?
+ALTER TABLE archives ADD COLUMN localSyncPaused INTEGER DEFAULT 0;
+
+PRAGMA user_version = 32;
+`
@@ -0,0 +1,7 @@
+module.exports = `
+
+-- the symlinks which a folder sync refused to copy
+ALTER TABLE folder_sync_journal ADD COLUMN refusedLinks TEXT;
+
+PRAGMA user_version = 33;
+`
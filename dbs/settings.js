@@ -31,7 +31,14 @@ exports.setup = function (opts) {
     default_dat_ignore: '.git\n.dat\nnode_modules\n*.log\n**/.DS_Store\nThumbs.db\n',
     analytics_enabled: 1,
     dat_bandwidth_limit_up: 0,
-    dat_bandwidth_limit_down: 0
+    dat_bandwidth_limit_down: 0,
+    dat_request_timeout: 30e3,
+    dat_seed_schedule: '', // json, see lib/seed-schedule.js
+    dat_dns_resolvers: 'hosts, dns-over-https, well-known, txt', // in order, each can take a timeout as `name:ms`
+    dat_dns_resolver_timeout: 2e3,
+    dat_dns_hosts_file: path.join(opts.userDataPath, 'dat-hosts'),
+    dat_dns_doh_endpoint: 'https://cloudflare-dns.com/dns-query',
+    dat_dns_txt_servers: '' // comma-separated, empty means the system's servers
   }
 }
 
@@ -0,0 +1,70 @@
+const test = require('ava')
+const http = require('http')
+const https = require('https')
+const path = require('path')
+const EventEmitter = require('events')
+
+// the dbs are backed by sqlite, so they're replaced with in-memory stand-ins
+var settings = {dat_dns_resolvers: 'well-known', dat_dns_resolver_timeout: 5e3}
+var sitedata = {}
+fakeModule('./dbs/settings', {getAll: async () => settings})
+fakeModule('./dbs/sitedata', {
+  get: async (origin, key) => sitedata[origin + ' ' + key],
+  set: async (origin, key, value) => { sitedata[origin + ' ' + key] = value }
+})
+fakeModule('./dbs/petnames', Object.assign(new EventEmitter(), {list: async () => []}))
+
+const resolvers = require('./dat/dns-resolvers')
+const datDns = require('./dat/dns')
+
+const KEY = 'a'.repeat(64)
+
+// a stand-in for the https sites, which serves each host's routes over http
+// - routes: {'host/path': (req, res) => {}}
+var requests = []
+var server
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    var route = routes[req.headers.host + req.url]
+    requests.push(req.headers.host + req.url)
+    if (route) route(req, res)
+    else res.writeHead(404).end()
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  https.get = (opts, cb) => http.get(Object.assign({}, opts, {
+    protocol: 'http:',
+    hostname: '127.0.0.1',
+    port: server.address().port,
+    headers: Object.assign({}, opts.headers, {host: opts.host})
+  }), cb)
+})
+test.after.always(() => server.close())
+
+var routes = {
+  'redirecting.example/.well-known/dat': (req, res) => res.writeHead(301, {Location: 'https://www.redirecting.example/.well-known/dat'}).end(),
+  'www.redirecting.example/.well-known/dat': (req, res) => res.end(`dat://${KEY}\nTTL=60`),
+  'insecure.example/.well-known/dat': (req, res) => res.writeHead(302, {Location: 'http://www.insecure.example/.well-known/dat'}).end(),
+  'looping.example/.well-known/dat': (req, res) => res.writeHead(302, {Location: '/.well-known/dat'}).end(),
+  'slow.example/.well-known/dat': (req, res) => setTimeout(() => res.end(`dat://${KEY}`), 100)
+}
+
+test('the well-known lookup follows redirects', async t => {
+  t.deepEqual(await resolvers['well-known']('redirecting.example', {timeout: 5e3}), {key: KEY, ttl: 60})
+})
+
+test('the well-known lookup does not follow redirects off of https, or too many of them', async t => {
+  await t.throwsAsync(resolvers['well-known']('insecure.example', {timeout: 5e3}), /non-https/)
+  await t.throwsAsync(resolvers['well-known']('looping.example', {timeout: 5e3}), /Too many redirects/)
+})
+
+test('concurrent lookups of a name share one request', async t => {
+  requests = []
+  var keys = await Promise.all([datDns.resolveName('slow.example'), datDns.resolveName('dat://slow.example/foo')])
+  t.deepEqual(keys, [KEY, KEY])
+  t.deepEqual(requests, ['slow.example/.well-known/dat'])
+})
+
+function fakeModule (modulePath, exports) {
+  var filename = require.resolve(path.join(__dirname, modulePath))
+  require.cache[filename] = {id: filename, filename, loaded: true, exports}
+}
@@ -0,0 +1,75 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const pify = require('pify')
+const hyperdrive = require('hyperdrive')
+const folderSync = require('./dat/daemon/folder-sync')
+
+var tmpdirs = []
+test.after.always(() => tmpdirs.forEach(dir => fs.rmSync(dir, {recursive: true, force: true})))
+
+function createTmpdir () {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-sync-test-'))
+  tmpdirs.push(dir)
+  return dir
+}
+
+async function createSyncedArchive () {
+  var archive = hyperdrive(createTmpdir())
+  await pify(archive.ready.bind(archive))()
+  archive.localSyncSettings = {path: createTmpdir()}
+  await pify(archive.writeFile.bind(archive))('/hello.txt', 'hello')
+  await folderSync.mergeArchiveAndFolder(archive, archive.localSyncSettings.path)
+  return archive
+}
+
+// change the file on both sides, so that the next merge finds a conflict
+async function createConflict (archive) {
+  var localPath = archive.localSyncSettings.path
+  fs.writeFileSync(path.join(localPath, 'hello.txt'), 'hello from the folder')
+  await pify(archive.writeFile.bind(archive))('/hello.txt', 'hello from the archive')
+  await folderSync.mergeArchiveAndFolder(archive, localPath)
+  var conflicts = folderSync.listConflicts(archive)
+  if (conflicts.length !== 1 || !fs.existsSync(path.join(localPath, conflicts[0].conflictPath))) {
+    throw new Error('Expected a conflict file')
+  }
+  return conflicts[0]
+}
+
+test('a full sync while a conflict is pending removes the conflict file', async t => {
+  var archive = await createSyncedArchive()
+  var localPath = archive.localSyncSettings.path
+  var conflict = await createConflict(archive)
+
+  await folderSync.syncFolderToArchive(archive, {shallow: false})
+  t.deepEqual(folderSync.listConflicts(archive), [])
+  t.false(fs.existsSync(path.join(localPath, conflict.conflictPath)))
+
+  // the next merge has nothing left to publish
+  await folderSync.mergeArchiveAndFolder(archive, localPath)
+  t.deepEqual((await pify(archive.readdir.bind(archive))('/')).sort(), ['dat.json', 'hello.txt'])
+  t.is(await pify(archive.readFile.bind(archive))('/hello.txt', 'utf8'), 'hello from the folder')
+})
+
+test('reverting the folder while a conflict is pending removes the conflict file', async t => {
+  var archive = await createSyncedArchive()
+  var localPath = archive.localSyncSettings.path
+  var conflict = await createConflict(archive)
+
+  await folderSync.syncArchiveToFolder(archive, {shallow: false})
+  t.deepEqual(folderSync.listConflicts(archive), [])
+  t.deepEqual(fs.readdirSync(localPath).sort(), ['dat.json', 'hello.txt'])
+  t.false(fs.existsSync(path.join(localPath, conflict.conflictPath)))
+})
+
+test('resolving a conflict removes the conflict file', async t => {
+  var archive = await createSyncedArchive()
+  var localPath = archive.localSyncSettings.path
+  var conflict = await createConflict(archive)
+
+  await folderSync.resolveConflict(archive, '/hello.txt', 'archive')
+  t.deepEqual(folderSync.listConflicts(archive), [])
+  t.false(fs.existsSync(path.join(localPath, conflict.conflictPath)))
+  t.is(fs.readFileSync(path.join(localPath, 'hello.txt'), 'utf8'), 'hello from the archive')
+})
@@ -43,6 +43,7 @@ module.exports = {
     }
 
     // setup dat
+    await dat.dns.setup()
     await dat.library.setup(opts)
 
     // setup watchlist
@@ -10,6 +10,9 @@ exports.ANALYTICS_CHECKIN_INTERVAL = ms('1w')
 exports.DAT_HASH_REGEX = /^[0-9a-f]{64}$/i
 exports.DAT_URL_REGEX = /^(?:dat:\/\/)?([0-9a-f]{64})/i
 
+// local names for archives (a single label, so they can never shadow a real domain)
+exports.DAT_PETNAME_REGEX = /^[a-z0-9][a-z0-9-]*$/i
+
 // url file paths
 exports.DAT_VALID_PATH_REGEX = /^[a-z0-9\-._~!$&'()*+,;=:@/\s]+$/i
 exports.INVALID_SAVE_FOLDER_CHAR_REGEX = /[^0-9a-zA-Z-_ ]/g
@@ -17,14 +20,24 @@ exports.INVALID_SAVE_FOLDER_CHAR_REGEX = /[^0-9a-zA-Z-_ ]/g
 // dat settings
 exports.DAT_SWARM_PORT = 3282
 exports.DAT_MANIFEST_FILENAME = 'dat.json'
+exports.DAT_DOWNLOAD_MANIFEST_FILENAME = 'dat-download.json' // added to the zip/tar bundles served by ?download_as
 let quotaEnvVar = process.env.BEAKER_DAT_QUOTA_DEFAULT_BYTES_ALLOWED || process.env.beaker_dat_quota_default_bytes_allowed
 exports.DAT_QUOTA_DEFAULT_BYTES_ALLOWED = bytes.parse(quotaEnvVar || '500mb')
 exports.DEFAULT_DAT_DNS_TTL = ms('1h')
 exports.MAX_DAT_DNS_TTL = ms('7d')
 exports.DEFAULT_DAT_API_TIMEOUT = ms('5s')
+// share of the global bandwidth caps, set per archive
+// - 'high' archives aren't held to the global caps, 'low' archives only get a quarter of them
+exports.DAT_BANDWIDTH_PRIORITIES = ['high', 'normal', 'low']
+exports.DAT_LOW_PRIORITY_BANDWIDTH_SHARE = 0.25
 exports.DAT_GC_EXPIRATION_AGE = ms('7d') // how old do archives need to be before deleting them from the cache?
 exports.DAT_GC_FIRST_COLLECT_WAIT = ms('30s') // how long after process start to do first collect?
 exports.DAT_GC_REGULAR_COLLECT_WAIT = ms('15m') // how long between GCs to collect?
+exports.DAT_SEED_SCHEDULE_CHECK_INTERVAL = ms('1m') // how often are the seeding windows checked?
+exports.DAT_IN_USE_TIMEOUT = ms('10m') // how long after its last use is an archive kept in the swarm, outside of its seeding windows?
+exports.DAT_NETWORK_STATS_SAMPLE_INTERVAL = ms('5m') // how often are the network stats of the archives recorded?
+exports.DAT_NETWORK_STATS_RETENTION = ms('90d') // how long are the recorded network stats kept?
+exports.DAT_FOLDER_SYNC_JOURNAL_MAX_ENTRIES = 1000 // how many folder sync runs are kept per archive?
 // dat.json manifest fields which can be changed by configure()
 exports.DAT_CONFIGURABLE_FIELDS = [
   'title',
@@ -38,10 +51,24 @@ exports.DAT_CONFIGURABLE_FIELDS = [
 exports.DAT_PRESERVED_FIELDS_ON_FORK = [
   'web_root',
   'fallback_page',
+  'render_markdown',
+  'redirects',
+  'rewrites',
+  'headers',
   'links',
   'experimental',
   'content_security_policy'
 ]
+// response headers which a site can set through the dat.json `headers` section
+exports.DAT_SITE_CONFIGURABLE_HEADERS = [
+  'Cache-Control',
+  'Content-Type',
+  'Content-Language',
+  'Link',
+  'X-Frame-Options',
+  'Referrer-Policy',
+  'Permissions-Policy'
+]
 
 // workspace settings
 exports.WORKSPACE_VALID_NAME_REGEX = /^[a-z][a-z0-9-]*$/i
@@ -0,0 +1,204 @@
+const path = require('path')
+
+// .datignore rules, with gitignore semantics
+// - every folder can have a .datignore, and its rules apply to the paths within that folder
+// - the last matching rule wins, so rules in deeper folders override the ones above them
+// - '!pattern' re-includes a path, but not if one of its parent folders is ignored
+// - 'pattern/' only matches folders
+// - a pattern with a '/' in it (other than at the end) is relative to the .datignore's folder,
+//   otherwise it matches a name at any depth within the folder
+// - '*' and '?' don't match '/', '**' matches any number of folders
+// - /.git and /.dat are always ignored
+
+// constants
+// =
+
+const BUILTIN_RULES = exports.BUILTIN_RULES = ['/.git', '/.dat'].map(pattern => parseRule(pattern, '/', null, null))
+
+// exported api
+// =
+
+// parse the content of a .datignore
+// - dirpath: string, the folder which the .datignore is in
+// - file: string, the path of the .datignore (for explain())
+// - returns [{pattern, negate, dirOnly, regex, file, line}]
+const parse = exports.parse = function (str, dirpath = '/', file = path.posix.join(dirpath, '.datignore')) {
+  if (!str || typeof str !== 'string') {
+    return []
+  }
+  var rules = []
+  str.split('\n').forEach((line, i) => {
+    var rule = parseRule(line, dirpath, file, i + 1)
+    if (rule) rules.push(rule)
+  })
+  return rules
+}
+
+// read all of the .datignores in a fs space (a local folder with isLocalFS set, or an archive)
+// - the folders which are ignored aren't searched
+// - returns the rules, ordered so that the last match wins
+exports.load = async function (fs) {
+  var rules = []
+  var dirpaths = ['/'] // breadth-first, so that parent folders come first
+  while (dirpaths.length) {
+    let dirpath = dirpaths.shift()
+    rules = rules.concat(parse(await readFile(fs, path.posix.join(dirpath, '.datignore')), dirpath))
+    for (let name of await readdir(fs, dirpath)) {
+      let childpath = path.posix.join(dirpath, name)
+      if (!isIgnored(rules, childpath, true)) {
+        let st = await lstat(fs, childpath) // (dont follow symlinks, which could cycle)
+        if (st && st.isDirectory()) dirpaths.push(childpath)
+      }
+    }
+  }
+  return rules.concat(BUILTIN_RULES)
+}
+
+// is the path ignored by the rules?
+// - only checks the path itself, not its parent folders (which the folder walkers skip on their own)
+// - isDirectory: bool, if undefined then folder-only rules match any path
+const isIgnored = exports.isIgnored = function (rules, filepath, isDirectory) {
+  var rule = findMatch(rules, filepath, isDirectory)
+  return !!rule && !rule.negate
+}
+
+// explain why a path is or isn't ignored
+// - checks the path and its parent folders
+// - returns {ignored, path, reason, rule}
+//   - path: the path which matched, which can be a parent folder
+//   - reason: 'datignore' | 'builtin' | null
+//   - rule: {file, line, pattern}, the rule which decided, or null
+exports.explain = function (rules, filepath, isDirectory) {
+  var filepaths = explodeFilePaths(filepath)
+  var rule
+  for (let i = 0; i < filepaths.length; i++) {
+    let isLast = i === filepaths.length - 1
+    rule = findMatch(rules, filepaths[i], isLast ? isDirectory : true)
+    if (rule && !rule.negate) {
+      return {ignored: true, path: filepaths[i], reason: toReason(rule), rule: toRuleDescription(rule)}
+    }
+  }
+  return {
+    ignored: false,
+    path: filepaths[filepaths.length - 1],
+    reason: rule ? toReason(rule) : null,
+    rule: rule ? toRuleDescription(rule) : null // a negation which re-included the path
+  }
+}
+
+// internal methods
+// =
+
+function parseRule (line, dirpath, file, lineNumber) {
+  var pattern = line.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1') // strip windows \r newlines and trailing spaces
+  if (!pattern || pattern.startsWith('#')) {
+    return null
+  }
+  var source = pattern
+  var negate = false
+  if (pattern.startsWith('!')) {
+    negate = true
+    pattern = pattern.slice(1)
+  } else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+    pattern = pattern.slice(1)
+  }
+  var dirOnly = false
+  if (pattern.endsWith('/')) {
+    dirOnly = true
+    pattern = pattern.replace(/\/+$/, '')
+  }
+  if (!pattern) {
+    return null
+  }
+
+  // patterns without a slash match at any depth
+  var isAnchored = pattern.includes('/')
+  pattern = pattern.replace(/^\/+/, '')
+  var prefix = dirpath === '/' ? '/' : (dirpath.replace(/\/+$/, '') + '/')
+  var regex = new RegExp('^' + escapeRegex(prefix) + (isAnchored ? '' : '(?:.*/)?') + globToRegex(pattern) + '$')
+  return {pattern: source, negate, dirOnly, regex, file, line: lineNumber}
+}
+
+function globToRegex (glob) {
+  var re = ''
+  for (let i = 0; i < glob.length; i++) {
+    let c = glob.charAt(i)
+    if (c === '*') {
+      if (glob.charAt(i + 1) === '*') {
+        if (glob.charAt(i + 2) === '/') {
+          re += '(?:.*/)?' // any number of folders
+          i += 2
+        } else {
+          re += '.*' // everything
+          i++
+        }
+      } else {
+        re += '[^/]*'
+      }
+    } else if (c === '?') {
+      re += '[^/]'
+    } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+      let end = glob.indexOf(']', i + 2)
+      let chars = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+      re += '[' + (chars.startsWith('!') ? '^' + chars.slice(1) : chars) + ']'
+      i = end
+    } else if (c === '\\' && i + 1 < glob.length) {
+      re += escapeRegex(glob.charAt(++i))
+    } else {
+      re += escapeRegex(c)
+    }
+  }
+  return re
+}
+
+function findMatch (rules, filepath, isDirectory) {
+  filepath = path.posix.normalize('/' + filepath).replace(/(.)\/$/, '$1')
+  for (let i = rules.length - 1; i >= 0; i--) {
+    let rule = rules[i]
+    if (rule.dirOnly && isDirectory === false) continue
+    if (rule.regex.test(filepath)) return rule
+  }
+  return null
+}
+
+function toReason (rule) {
+  return rule.file ? 'datignore' : 'builtin'
+}
+
+function toRuleDescription (rule) {
+  return {file: rule.file, line: rule.line, pattern: rule.pattern}
+}
+
+function escapeRegex (str) {
+  return str.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&')
+}
+
+// helper to go from '/foo/bar/baz' to ['/foo', '/foo/bar', '/foo/bar/baz']
+function explodeFilePaths (str) {
+  str = str.replace(/^\/|\/$/g, '') // strip leading and trailing slashes
+  var paths = str.split('/')
+  let lastPath = ''
+  for (let i = 0; i < paths.length; i++) {
+    lastPath = paths[i] = `${lastPath}/${paths[i]}`
+  }
+  return paths
+}
+
+function readFile (fs, filepath) {
+  return new Promise(resolve => {
+    fs.readFile(filepath, {encoding: 'utf8'}, (_, data) => resolve(data || ''))
+  })
+}
+
+function readdir (fs, filepath) {
+  return new Promise(resolve => {
+    fs.readdir(filepath, (_, names) => resolve(names || []))
+  })
+}
+
+// (archives dont follow links, so their stat is used, which the archive proxies fix up)
+function lstat (fs, filepath) {
+  return new Promise(resolve => {
+    fs[fs.isLocalFS ? 'lstat' : 'stat'](filepath, (_, st) => resolve(st || null))
+  })
+}
@@ -151,6 +151,7 @@ module.exports = function (e) {
   if (typeof e === 'object') {
     errorDescription = e.errorDescription || ''
     info = e.errorInfo || ''
+    title = e.title || title
     // remove trailing slash
     var origin = e.validatedURL.slice(0, e.validatedURL.length - 1)
 
@@ -36,12 +36,15 @@ const identify = exports.identify = function (name, chunk) {
   return mimeType
 }
 
-exports.identifyStream = function (name, cb) {
+// - opts
+//   - contentEncoding: string, the stream is compressed (eg 'gzip' or 'br') and `name` is the
+//     path of the uncompressed file, so identify by the name only
+exports.identifyStream = function (name, cb, opts = {}) {
   var first = true
   return through2(function (chunk, enc, cb2) {
     if (first) {
       first = false
-      cb(identify(name, chunk))
+      cb(identify(name, opts.contentEncoding ? null : chunk))
     }
     this.push(chunk)
     cb2()
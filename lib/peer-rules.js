@@ -0,0 +1,131 @@
+const net = require('net')
+
+// the rules of the peer allow/deny lists
+// - an IP address, eg '192.168.1.20' or 'fe80::1'
+// - a CIDR range, eg '10.0.0.0/8' or 'fd00::/8'
+// - a host and port, eg '192.168.1.20:3282' or '[fe80::1]:3282'
+// - a peer id, as 64 hex chars
+
+// constants
+// =
+
+const PEER_ID_REGEX = /^[0-9a-f]{64}$/i
+const PRIVATE_RANGES = [
+  '10.0.0.0/8',
+  '172.16.0.0/12',
+  '192.168.0.0/16',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10'
+]
+
+// exported api
+// =
+
+// parse a rule string
+// - throws if the rule is not valid
+const parseRule = exports.parseRule = function (str) {
+  str = String(str || '').trim()
+  if (PEER_ID_REGEX.test(str)) {
+    return {type: 'id', str, id: str.toLowerCase()}
+  }
+  if (str.includes('/')) {
+    let [address, bits] = str.split('/')
+    let bytes = parseAddress(address)
+    if (bytes && /^\d+$/.test(bits) && +bits <= bytes.length * 8) {
+      return {type: 'cidr', str, bytes, bits: +bits}
+    }
+  } else if (net.isIP(str)) {
+    return {type: 'address', str, bytes: parseAddress(str)}
+  } else {
+    let match = /^\[?([^\]]+?)\]?:(\d+)$/.exec(str)
+    if (match && net.isIP(match[1]) && +match[2] <= 65535) {
+      return {type: 'host-port', str, bytes: parseAddress(match[1]), port: +match[2]}
+    }
+  }
+  throw new Error(`Invalid peer rule: "${str}". Must be an IP address, a CIDR range, a host:port, or a peer id.`)
+}
+
+// does the peer match the rule?
+// - peer: {host, port, id}, where id is a hex string if known
+exports.matchRule = function (rule, peer) {
+  switch (rule.type) {
+    case 'id':
+      return !!peer.id && peer.id.toLowerCase() === rule.id
+    case 'address':
+      return bytesEqual(parseAddress(peer.host), rule.bytes)
+    case 'cidr':
+      return inRange(parseAddress(peer.host), rule)
+    case 'host-port':
+      return +peer.port === rule.port && bytesEqual(parseAddress(peer.host), rule.bytes)
+  }
+  return false
+}
+
+// is the address in a private, loopback, or link-local range?
+exports.isPrivateAddress = function (address) {
+  var bytes = parseAddress(address)
+  return PRIVATE_RANGES.some(range => inRange(bytes, parseRule(range)))
+}
+
+// internal methods
+// =
+
+// convert an IP address into its bytes
+// - IPv4-mapped IPv6 addresses are given as IPv4
+// - returns null if it's not an IP address
+function parseAddress (address) {
+  address = String(address || '').replace(/%.*$/, '') // drop the zone index
+  var version = net.isIP(address)
+  if (version === 4) {
+    return address.split('.').map(Number)
+  }
+  if (version !== 6) {
+    return null
+  }
+
+  // convert a trailing IPv4 part into two groups
+  var v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(address)
+  if (v4) {
+    let b = v4[1].split('.').map(Number)
+    address = address.slice(0, -v4[1].length) + ((b[0] << 8) | b[1]).toString(16) + ':' + ((b[2] << 8) | b[3]).toString(16)
+  }
+
+  // expand the ::
+  var [head, tail] = address.split('::')
+  var headGroups = head ? head.split(':') : []
+  var tailGroups = tail ? tail.split(':') : []
+  var groups = headGroups
+  if (typeof tail !== 'undefined') {
+    groups = groups.concat(new Array(8 - headGroups.length - tailGroups.length).fill('0'), tailGroups)
+  }
+
+  var bytes = []
+  for (let group of groups) {
+    let n = parseInt(group, 16)
+    bytes.push(n >> 8, n & 0xff)
+  }
+  if (bytes.slice(0, 12).join(',') === '0,0,0,0,0,0,0,0,0,0,255,255') {
+    return bytes.slice(12) // IPv4-mapped
+  }
+  return bytes
+}
+
+function inRange (bytes, {bytes: rangeBytes, bits}) {
+  if (!bytes || bytes.length !== rangeBytes.length) {
+    return false
+  }
+  for (let i = 0; i < bits; i++) {
+    let mask = 0x80 >> (i % 8)
+    if ((bytes[i >> 3] & mask) !== (rangeBytes[i >> 3] & mask)) {
+      return false
+    }
+  }
+  return true
+}
+
+function bytesEqual (a, b) {
+  return !!a && !!b && a.length === b.length && a.every((v, i) => v === b[i])
+}
@@ -0,0 +1,86 @@
+// seeding schedules, which limit when saved archives are uploaded
+// - {windows, whenUnthrottled}
+//   - windows: array of 'HH:MM-HH:MM' ranges in local time, which can wrap past midnight (empty means any time)
+//   - whenUnthrottled: bool, only seed while no global bandwidth limit is set
+// - null means no schedule
+
+// constants
+// =
+
+const WINDOW_REGEX = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/
+
+// exported api
+// =
+
+// validate a schedule, given as an object or a json string
+// - throws if the schedule is not valid
+// - returns the schedule or null
+const normalizeSchedule = exports.normalizeSchedule = function (schedule) {
+  if (typeof schedule === 'string') {
+    if (!schedule.trim()) return null
+    try {
+      schedule = JSON.parse(schedule)
+    } catch (e) {
+      throw new Error('Invalid seeding schedule: not valid JSON')
+    }
+  }
+  if (!schedule) {
+    return null
+  }
+  if (typeof schedule !== 'object') {
+    throw new Error('Invalid seeding schedule: must be an object')
+  }
+
+  var windows = schedule.windows || []
+  if (!Array.isArray(windows)) {
+    throw new Error('Invalid seeding schedule: windows must be an array')
+  }
+  windows = windows.map(w => String(w).trim())
+  windows.forEach(parseWindow) // throws on invalid windows
+  return {windows, whenUnthrottled: !!schedule.whenUnthrottled}
+}
+
+// like normalizeSchedule(), but gives null instead of throwing
+exports.safeNormalizeSchedule = function (schedule) {
+  try {
+    return normalizeSchedule(schedule)
+  } catch (e) {
+    return null
+  }
+}
+
+// does the schedule allow seeding at this time?
+// - schedule: a normalized schedule, or null
+// - date: Date
+// - isThrottled: bool, is a global bandwidth limit set?
+exports.isSeedingAllowed = function (schedule, date, {isThrottled} = {}) {
+  if (!schedule) {
+    return true
+  }
+  if (schedule.whenUnthrottled && isThrottled) {
+    return false
+  }
+  if (!schedule.windows.length) {
+    return true
+  }
+  var minute = date.getHours() * 60 + date.getMinutes()
+  return schedule.windows.map(parseWindow).some(({start, end}) => {
+    if (start <= end) return start <= minute && minute < end
+    return minute >= start || minute < end // wraps past midnight
+  })
+}
+
+// internal methods
+// =
+
+// - returns {start, end} in minutes since midnight
+function parseWindow (str) {
+  var match = WINDOW_REGEX.exec(str)
+  if (match) {
+    let [startH, startM, endH, endM] = match.slice(1).map(Number)
+    if (startH < 24 && endH <= 24 && startM < 60 && endM < 60) {
+      return {start: startH * 60 + startM, end: endH * 60 + endM}
+    }
+  }
+  throw new Error(`Invalid seeding window: "${str}". Must be in the form HH:MM-HH:MM.`)
+}
@@ -0,0 +1,382 @@
+const fs = require('fs')
+const path = require('path')
+const {PassThrough} = require('stream')
+const pify = require('pify')
+const pump = require('pump')
+const anymatch = require('anymatch')
+const dft = require('diff-file-tree')
+const pda = require('pauls-dat-api')
+const ScopedFS = require('scoped-fs')
+
+// symlinks and file modes in archives
+// - hyperdrive's stat schema has no field for the link target, so a symlink is stored as an entry
+//   with the IFLNK mode and the target as its content (like git and tar do)
+//   - the DatArchive stat()s give the target as linkname, and their isFile() is false for links
+//   - readFile() gives the target, while the dat:// protocol serves the entry which the link points at
+// - the permission bits of a file (eg the executable bit) are stored in its mode
+// - links which point outside of the root (absolute, or with too many '..') are refused unless allowEscapingLinks is set
+//   - the other links along the way are followed, so that a chain like `y -> .` and `x -> y/../etc` is caught too
+// - only the executable bits of modes are compared, because the rest depends on the umask (and windows has none of them)
+// the fs spaces here are either an archive, or a local folder (a scoped-fs with isLocalFS set)
+
+// constants
+// =
+
+const IFMT = 0o170000
+const IFREG = 0o100000
+const IFLNK = 0o120000
+const LINK_MODE = exports.LINK_MODE = IFLNK | 0o777
+const DEFAULT_IGNORE = ['.dat', '**/.dat', '.git', '**/.git'] // same as pauls-dat-api
+const MAX_LINK_HOPS = 20
+
+// exported api
+// =
+
+const isSymlink = exports.isSymlink = function (st) {
+  return !!st && (st.mode & IFMT) === IFLNK
+}
+
+const isExecutable = exports.isExecutable = function (st) {
+  return !!st && (st.mode & IFMT) === IFREG && (st.mode & 0o111) !== 0
+}
+
+// does a link at linkpath, pointing at target, lead outside of the root?
+// (only looks at the target's text, see leadsOutsideRoot() for the check which follows the other links)
+const isEscapingLink = exports.isEscapingLink = function (linkpath, target) {
+  if (path.posix.isAbsolute(target) || path.win32.isAbsolute(target)) {
+    return true
+  }
+  var dirpath = path.posix.dirname(path.posix.join('/', linkpath)).slice(1) || '.'
+  var resolved = path.posix.normalize(path.posix.join(dirpath, target))
+  return resolved === '..' || resolved.startsWith('../')
+}
+
+// set the linkname of an archive entry's stat, if it's a symlink
+// - returns the stat
+exports.addLinkname = async function (archive, filepath, st) {
+  if (isSymlink(st)) {
+    st.linkname = await readLink(archive, filepath)
+  }
+  return st
+}
+
+// follow a symlink in an archive to the entry it points at
+// - links which lead outside of the archive, to nothing, or around in a loop give null
+// - returns {path, st}
+exports.resolveArchiveLink = async function (archive, linkpath) {
+  var st = await lstat(archive, linkpath)
+  for (let i = 0; isSymlink(st); i++) {
+    let target = await readLink(archive, linkpath)
+    if (i >= MAX_LINK_HOPS || isEscapingLink(linkpath, target)) {
+      return null
+    }
+    linkpath = path.posix.join(path.posix.dirname(linkpath), target)
+    st = await lstat(archive, linkpath)
+  }
+  return st ? {path: linkpath, st} : null
+}
+
+// dft.diff(), plus the files which only differ by their executable bits (eg after a chmod +x)
+// - left and right are {fs}, and opts are the same as dft.diff()'s
+exports.diff = async function (left, right, opts = {}) {
+  var changes = await dft.diff(left, right, opts)
+  if (process.platform === 'win32') {
+    return changes
+  }
+  var changedPaths = new Set(changes.map(d => d.path))
+  const walk = async (dirpath) => {
+    var names = await new Promise(resolve => left.fs.readdir(dirpath, (_, names) => resolve(names || [])))
+    for (let name of names) {
+      let p = path.posix.join(dirpath, name)
+      if (changedPaths.has(p) || (opts.filter && opts.filter(p))) continue
+      let [leftStat, rightStat] = await Promise.all([lstat(left.fs, p), lstat(right.fs, p)])
+      if (!leftStat || !rightStat) continue
+      if (leftStat.isDirectory() && rightStat.isDirectory()) {
+        await walk(p)
+      } else if (isExecutable(leftStat) !== isExecutable(rightStat) && !isSymlink(leftStat) && !isSymlink(rightStat)) {
+        changes.push({change: 'mod', type: 'file', path: p})
+      }
+    }
+  }
+  await walk('/')
+  return changes
+}
+
+// wrap a local folder so that diff-file-tree sees its symlinks as files, with the target as their content
+// (instead of following them)
+exports.createFolderFS = function (scopedFS) {
+  return {
+    isLocalFS: true,
+    base: scopedFS.base,
+    stat (name, cb) {
+      scopedFS.lstat(name, (err, st) => {
+        if (err || !isSymlink(st)) return cb(err, st)
+        fs.readlink(toLocalPath(scopedFS, name), (err, target) => {
+          if (err) return cb(err)
+          st.isFile = () => true
+          st.isDirectory = () => false
+          st.size = Buffer.byteLength(target)
+          cb(null, st)
+        })
+      })
+    },
+    lstat: (...args) => scopedFS.lstat(...args),
+    readdir: (...args) => scopedFS.readdir(...args),
+    readFile: (...args) => scopedFS.readFile(...args),
+    mkdir: (...args) => scopedFS.mkdir(...args),
+    rmdir: (...args) => scopedFS.rmdir(...args),
+    unlink: (...args) => scopedFS.unlink(...args),
+    createWriteStream: (...args) => scopedFS.createWriteStream(...args),
+    async createReadStream (name, opts) {
+      var st = await lstat(scopedFS, name)
+      if (isSymlink(st)) {
+        let target = await pify(fs.readlink)(toLocalPath(scopedFS, name))
+        return bufferStream(Buffer.from(target))
+      }
+      return scopedFS.createReadStream(name, opts)
+    }
+  }
+}
+
+// copy a file or symlink between two fs spaces, keeping its mode
+// - opts.allowEscapingLinks: bool, copy links which lead outside of the root (default false)
+// - returns false if the entry was a refused link
+const copyEntry = exports.copyEntry = async function (srcFS, srcPath, dstFS, dstPath, opts = {}) {
+  var st = await lstat(srcFS, srcPath)
+  if (isSymlink(st)) {
+    let otherSpaces = (srcPath === dstPath) ? [dstFS] : [] // (the links in the dst only matter when the paths line up)
+    if (await isRefusedLink(srcFS, srcPath, opts, otherSpaces)) {
+      return false
+    }
+    let target = await readLink(srcFS, srcPath)
+    if (dstFS.isLocalFS) {
+      await removeLocalFile(dstFS, dstPath)
+      await pify(fs.symlink)(target, toLocalPath(dstFS, dstPath))
+    } else {
+      await pify(dstFS.writeFile.bind(dstFS))(dstPath, target, {mode: LINK_MODE, mtime: +st.mtime, ctime: +st.ctime})
+    }
+    return true
+  }
+
+  var mode = (srcFS.isLocalFS && process.platform === 'win32') ? 0 : (st.mode & 0o777) // (windows files have no executable bits to keep)
+  if (dstFS.isLocalFS) {
+    await removeLocalFile(dstFS, dstPath, {onlyLinks: true}) // dont write through an old link
+  }
+  var rs = await srcFS.createReadStream(srcPath) // (can be async, see createFolderFS())
+  var ws = dstFS.createWriteStream(dstPath, {mode: mode || undefined, mtime: +st.mtime, ctime: +st.ctime})
+  await new Promise((resolve, reject) => {
+    pump(rs, ws, err => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+  if (dstFS.isLocalFS && mode) {
+    await pify(fs.chmod)(toLocalPath(dstFS, dstPath), mode)
+  }
+  return true
+}
+
+// pda.exportFilesystemToArchive(), but keeping symlinks and executable bits within folders
+// - opts are the same, plus allowEscapingLinks
+// - the returned stats include refusedLinks, the paths of the links which weren't copied
+exports.exportFilesystemToArchive = async function (opts) {
+  var srcPath = opts.srcPath
+  var srcStat = await lstat(fs, srcPath)
+  if (!srcStat || !srcStat.isDirectory()) {
+    return pda.exportFilesystemToArchive(opts)
+  }
+  var ignore = Array.isArray(opts.ignore) ? opts.ignore : DEFAULT_IGNORE
+
+  // find the links and executables, and leave them out of the pda import
+  var specialPaths = await findLocalSpecialFiles(srcPath, ignore)
+  var specialLocalPaths = new Set(specialPaths.map(p => path.join(srcPath, p)))
+  var stats = await pda.exportFilesystemToArchive(Object.assign({}, opts, {
+    ignore: ignore.concat([p => specialLocalPaths.has(p)])
+  }))
+
+  // copy them
+  var dstBase = typeof opts.dstPath === 'string' ? opts.dstPath : '/'
+  if (opts.inplaceImport !== true) dstBase = path.join(dstBase, path.basename(srcPath))
+  var srcFS = new ScopedFS(srcPath)
+  srcFS.isLocalFS = true
+  stats.refusedLinks = []
+  for (let p of specialPaths) {
+    let dstPath = path.join(dstBase, p)
+    if (await isRefusedLink(srcFS, p, opts)) {
+      stats.refusedLinks.push(dstPath)
+      continue
+    }
+    let dstStat = await lstat(opts.dstArchive, dstPath)
+    if (opts.dryRun !== true) {
+      await copyEntry(srcFS, p, opts.dstArchive, dstPath, opts)
+    }
+    stats.fileCount++
+    if (dstStat) stats.updatedFiles.push(dstPath)
+    else stats.addedFiles.push(dstPath)
+  }
+  return stats
+}
+
+// pda.exportArchiveToFilesystem(), but restoring symlinks and executable bits
+// - opts are the same, plus allowEscapingLinks
+// - the returned stats include refusedLinks, the paths of the links which weren't written
+exports.exportArchiveToFilesystem = async function (opts) {
+  var srcArchive = opts.srcArchive
+  var srcPath = typeof opts.srcPath === 'string' ? opts.srcPath : '/'
+  var ignore = Array.isArray(opts.ignore) ? opts.ignore : DEFAULT_IGNORE
+
+  // find the links, and leave them out of the pda export
+  var srcStat = await lstat(srcArchive, srcPath)
+  var entries = (srcStat && srcStat.isDirectory())
+    ? await findArchiveSpecialFiles(srcArchive, srcPath, ignore)
+    : (isSymlink(srcStat) || isExecutable(srcStat)) ? [{path: '', st: srcStat}] : []
+  var linkPaths = new Set(entries.filter(e => isSymlink(e.st)).map(e => path.join(srcPath, e.path)))
+  var stats = await pda.exportArchiveToFilesystem(Object.assign({}, opts, {
+    ignore: ignore.concat([p => linkPaths.has(p)])
+  }))
+
+  var dstFS = new ScopedFS(opts.dstPath)
+  dstFS.isLocalFS = true
+  stats.refusedLinks = []
+  for (let {path: p, st} of entries) {
+    if (isSymlink(st)) {
+      // write the link
+      let dstStat = await lstat(dstFS, p)
+      let linkpath = path.join(srcPath, p) // relative to the archive root, so that links within the archive are allowed
+      if (await isRefusedLink(srcArchive, linkpath, opts)) {
+        stats.refusedLinks.push(path.join(opts.dstPath, p))
+        continue
+      }
+      await copyEntry(srcArchive, linkpath, dstFS, p, {allowEscapingLinks: true})
+      stats.fileCount++
+      if (dstStat) stats.updatedFiles.push(path.join(opts.dstPath, p))
+      else stats.addedFiles.push(path.join(opts.dstPath, p))
+    } else if (await lstat(dstFS, p)) {
+      // set the mode of the file written by pda (unless it skipped it)
+      await pify(fs.chmod)(toLocalPath(dstFS, p), st.mode & 0o777)
+    }
+  }
+  return stats
+}
+
+// internal methods
+// =
+
+// - returns the paths of the symlinks and executables, relative to the folder
+async function findLocalSpecialFiles (folderPath, ignore, subpath = '/') {
+  var found = []
+  for (let name of await pify(fs.readdir)(path.join(folderPath, subpath))) {
+    let p = path.posix.join(subpath, name)
+    let localPath = path.join(folderPath, p)
+    if (anymatch(ignore, localPath)) continue
+    let st = await lstat(fs, localPath)
+    if (isSymlink(st) || isExecutable(st)) found.push(p)
+    else if (st && st.isDirectory()) found = found.concat(await findLocalSpecialFiles(folderPath, ignore, p))
+  }
+  return found
+}
+
+// - returns [{path, st}] of the symlinks and executables, with paths relative to dirpath
+async function findArchiveSpecialFiles (archive, dirpath, ignore, subpath = '/') {
+  var found = []
+  for (let name of await pda.readdir(archive, path.posix.join(dirpath, subpath))) {
+    let p = path.posix.join(subpath, name)
+    let archivePath = path.posix.join(dirpath, p)
+    if (anymatch(ignore, archivePath)) continue
+    let st = await lstat(archive, archivePath)
+    if (isSymlink(st) || isExecutable(st)) found.push({path: p, st})
+    else if (st && st.isDirectory()) found = found.concat(await findArchiveSpecialFiles(archive, dirpath, ignore, p))
+  }
+  return found
+}
+
+// is the entry a link which leads outside of the root, and isn't allowed to?
+// - otherSpaces: the fs spaces (with the same paths) whose links are followed too, eg the dst of a copy
+async function isRefusedLink (fsOrArchive, filepath, {allowEscapingLinks} = {}, otherSpaces = []) {
+  if (allowEscapingLinks || !isSymlink(await lstat(fsOrArchive, filepath))) {
+    return false
+  }
+  var target = await readLink(fsOrArchive, filepath)
+  if (isEscapingLink(filepath, target)) {
+    return true
+  }
+  var dirpath = path.posix.dirname(path.posix.join('/', filepath))
+  return leadsOutsideRoot([fsOrArchive].concat(otherSpaces), [], splitPath(dirpath).concat(splitPath(target)), 0)
+}
+
+// walk the path, one name at a time, following the links found in any of the spaces
+// - resolved: the names walked so far, pending: the names left to walk
+// - too many hops counts as leading outside, since the link can't be checked
+async function leadsOutsideRoot (spaces, resolved, pending, hops) {
+  resolved = resolved.slice()
+  pending = pending.slice()
+  while (pending.length) {
+    let name = pending.shift()
+    if (name === '.') continue
+    if (name === '..') {
+      if (!resolved.length) return true
+      resolved.pop()
+      continue
+    }
+
+    // follow the link at this path in each space which has one
+    let p = '/' + resolved.concat([name]).join('/')
+    let targets = new Set()
+    let isLinkInEverySpace = true
+    for (let space of spaces) {
+      if (isSymlink(await lstat(space, p))) targets.add(await readLink(space, p))
+      else isLinkInEverySpace = false
+    }
+    for (let target of targets) {
+      if (hops >= MAX_LINK_HOPS || path.posix.isAbsolute(target) || path.win32.isAbsolute(target)) {
+        return true
+      }
+      if (await leadsOutsideRoot(spaces, resolved, splitPath(target).concat(pending), hops + 1)) {
+        return true
+      }
+    }
+    if (isLinkInEverySpace) {
+      return false // (every way on was checked above)
+    }
+    resolved.push(name)
+  }
+  return false
+}
+
+function splitPath (p) {
+  return p.split(/[\\/]/).filter(Boolean)
+}
+
+function readLink (fsOrArchive, filepath) {
+  if (fsOrArchive.isLocalFS) {
+    return pify(fs.readlink)(toLocalPath(fsOrArchive, filepath))
+  }
+  return pify(fsOrArchive.readFile.bind(fsOrArchive))(filepath, 'utf8')
+}
+
+// remove a file or link from a local folder, if there is one
+async function removeLocalFile (scopedFS, filepath, {onlyLinks} = {}) {
+  var st = await lstat(scopedFS, filepath)
+  if (st && !st.isDirectory() && (!onlyLinks || isSymlink(st))) {
+    await pify(fs.unlink)(toLocalPath(scopedFS, filepath))
+  }
+}
+
+function toLocalPath (scopedFS, filepath) {
+  return path.join(scopedFS.base, path.normalize(path.join('/', filepath))) // (normalizing from '/' drops any leading '..')
+}
+
+// helper to lstat and return null on fail
+// (archives dont follow links, so their stat is used, which the archive proxies fix up)
+function lstat (fsOrArchive, filepath) {
+  var isLocal = fsOrArchive === fs || fsOrArchive.isLocalFS
+  return new Promise(resolve => {
+    fsOrArchive[isLocal ? 'lstat' : 'stat'](filepath, (_, st) => resolve(st || null))
+  })
+}
+
+function bufferStream (buf) {
+  var stream = new PassThrough()
+  stream.end(buf)
+  return stream
+}
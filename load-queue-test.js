@@ -0,0 +1,17 @@
+const test = require('ava')
+const loadQueue = require('./dat/load-queue')
+
+test('a load which never settles frees its slot after the timeout', async t => {
+  var neverSettles = () => new Promise(() => {})
+  var hung = ['a', 'b', 'c', 'd'].map((key, i) => loadQueue.enqueue(key, 10 - i, neverSettles, {timeout: 50}))
+  hung.forEach(p => p.catch(_ => {}))
+
+  var res = await loadQueue.enqueue('e', 0, async () => 'loaded', {timeout: 50})
+  t.is(res, 'loaded')
+  t.is(loadQueue.getStatus().queued, 0)
+})
+
+test('a load which finishes before the timeout resolves normally', async t => {
+  var res = await loadQueue.enqueue('f', 0, () => new Promise(resolve => setTimeout(resolve, 10, 'done')), {timeout: 1e3})
+  t.is(res, 'done')
+})
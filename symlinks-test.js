@@ -0,0 +1,74 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const pify = require('pify')
+const hyperdrive = require('hyperdrive')
+const ScopedFS = require('scoped-fs')
+const symlinks = require('./lib/symlinks')
+
+var tmpdirs = []
+test.after.always(() => tmpdirs.forEach(dir => fs.rmSync(dir, {recursive: true, force: true})))
+
+function createTmpdir () {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'symlinks-test-'))
+  tmpdirs.push(dir)
+  return dir
+}
+
+function createFolder () {
+  var scopedFS = new ScopedFS(createTmpdir())
+  scopedFS.isLocalFS = true
+  return scopedFS
+}
+
+async function createArchive () {
+  var archive = hyperdrive(createTmpdir())
+  await pify(archive.ready.bind(archive))()
+  return archive
+}
+
+test('links are refused when a chain of links leads outside of the root', async t => {
+  var src = createFolder()
+  var dst = createFolder()
+  fs.symlinkSync('.', path.join(src.base, 'y'))
+  fs.symlinkSync('y/../etc', path.join(src.base, 'x'))
+
+  t.false(symlinks.isEscapingLink('/x', 'y/../etc')) // the target text alone looks fine
+  t.true(await symlinks.copyEntry(src, '/y', dst, '/y'))
+  t.false(await symlinks.copyEntry(src, '/x', dst, '/x'))
+  t.throws(() => fs.lstatSync(path.join(dst.base, 'x')))
+})
+
+test('links are refused when a link already in the dst leads outside of the root', async t => {
+  var src = createFolder()
+  var dst = createFolder()
+  fs.symlinkSync('..', path.join(dst.base, 'up'))
+  fs.mkdirSync(path.join(src.base, 'up'))
+  fs.symlinkSync('up/etc', path.join(src.base, 'x'))
+
+  t.false(await symlinks.copyEntry(src, '/x', dst, '/x'))
+})
+
+test('links which stay inside of the root through other links are copied', async t => {
+  var src = createFolder()
+  var dst = createFolder()
+  fs.mkdirSync(path.join(src.base, 'dir'))
+  fs.symlinkSync('dir', path.join(src.base, 'y'))
+  fs.symlinkSync('y/../dir/file', path.join(src.base, 'x'))
+
+  t.true(await symlinks.copyEntry(src, '/x', dst, '/x'))
+  t.is(fs.readlinkSync(path.join(dst.base, 'x')), 'y/../dir/file')
+})
+
+test('exporting an archive refuses a chain of links which leads outside of the folder', async t => {
+  var archive = await createArchive()
+  await pify(archive.writeFile.bind(archive))('/y', '.', {mode: symlinks.LINK_MODE})
+  await pify(archive.writeFile.bind(archive))('/x', 'y/../etc', {mode: symlinks.LINK_MODE})
+  var dst = createFolder()
+
+  var stats = await symlinks.exportArchiveToFilesystem({srcArchive: archive, dstPath: dst.base})
+  t.deepEqual(stats.refusedLinks, [path.join(dst.base, '/x')])
+  t.is(fs.readlinkSync(path.join(dst.base, 'y')), '.')
+  t.throws(() => fs.lstatSync(path.join(dst.base, 'x')))
+})
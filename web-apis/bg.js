@@ -8,6 +8,7 @@ const beakerBrowserManifest = require('./manifests/internal/browser')
 const bookmarksManifest = require('./manifests/internal/bookmarks')
 const downloadsManifest = require('./manifests/internal/downloads')
 const historyManifest = require('./manifests/internal/history')
+const petnamesManifest = require('./manifests/internal/petnames')
 const sitedataManifest = require('./manifests/internal/sitedata')
 const watchlistManifest = require('./manifests/internal/watchlist')
 
@@ -15,6 +16,7 @@ const watchlistManifest = require('./manifests/internal/watchlist')
 const archivesAPI = require('./bg/archives')
 const bookmarksAPI = require('./bg/bookmarks')
 const historyAPI = require('./bg/history')
+const petnamesAPI = require('./bg/petnames')
 const sitedataAPI = require('../dbs/sitedata').WEBAPI
 const watchlistAPI = require('./bg/watchlist')
 
@@ -46,6 +48,7 @@ exports.setup = function () {
   globals.rpcAPI.exportAPI('bookmarks', bookmarksManifest, bookmarksAPI, internalOnly)
   globals.rpcAPI.exportAPI('downloads', downloadsManifest, globals.downloadsWebAPI, internalOnly)
   globals.rpcAPI.exportAPI('history', historyManifest, historyAPI, internalOnly)
+  globals.rpcAPI.exportAPI('petnames', petnamesManifest, petnamesAPI, internalOnly)
   globals.rpcAPI.exportAPI('sitedata', sitedataManifest, sitedataAPI, internalOnly)
   globals.rpcAPI.exportAPI('watchlist', watchlistManifest, watchlistAPI, internalOnly)
 
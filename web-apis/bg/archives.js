@@ -7,6 +7,9 @@ const datLibrary = require('../../dat/library')
 const datGC = require('../../dat/garbage-collector')
 const archivesDb = require('../../dbs/archives')
 const archiveDraftsDb = require('../../dbs/archive-drafts')
+const peerFiltersDb = require('../../dbs/peer-filters')
+const networkStatsDb = require('../../dbs/network-stats')
+const folderSyncJournalDb = require('../../dbs/folder-sync-journal')
 const {cbPromise} = require('../../lib/functions')
 const {timer} = require('../../lib/time')
 const lock = require('../../lib/lock')
@@ -20,7 +23,7 @@ module.exports = {
   // =
 
   async status () {
-    var status = {archives: 0, peers: 0}
+    var status = {archives: 0, peers: 0, loadQueue: datLibrary.getLoadQueueStatus()}
     var archives = datLibrary.getActiveArchives()
     for (var k in archives) {
       status.archives++
@@ -159,6 +162,18 @@ module.exports = {
     await archivesDb.setUserSettings(0, key, newValues)
   },
 
+  // stop syncing the folder until resumed, without clearing localSyncPath
+  async pauseLocalSync (key) {
+    key = datLibrary.fromURLToKey(key)
+    await archivesDb.setUserSettings(0, key, {localSyncPaused: true})
+  },
+
+  // the folder and archive are merged when resumed
+  async resumeLocalSync (key) {
+    key = datLibrary.fromURLToKey(key)
+    await archivesDb.setUserSettings(0, key, {localSyncPaused: false})
+  },
+
   async ensureLocalSyncFinished (key) {
     key = datLibrary.fromURLToKey(key)
 
@@ -202,6 +217,20 @@ module.exports = {
     return datLibrary.getDaemon().fs_diffFile(archive, filepath)
   },
 
+  // why is a file in the local folder ignored (or not)?
+  async explainLocalSyncIgnore (key, filepath) {
+    key = datLibrary.fromURLToKey(key)
+
+    // load the archive
+    var archive
+    await timer(3e3, async (checkin) => { // put a max 3s timeout on loading the dat
+      checkin('searching for dat')
+      archive = await datLibrary.getOrLoadArchive(key)
+    })
+
+    return datLibrary.getDaemon().fs_explainIgnore(archive, filepath)
+  },
+
   async publishLocalSyncPathListing (key, opts = {}) {
     key = datLibrary.fromURLToKey(key)
 
@@ -230,6 +259,44 @@ module.exports = {
     return datLibrary.getDaemon().fs_syncArchiveToFolder(archive, opts)
   },
 
+  // sync conflicts
+  // =
+
+  async listLocalSyncConflicts (key) {
+    key = datLibrary.fromURLToKey(key)
+
+    // load the archive
+    var archive
+    await timer(3e3, async (checkin) => { // put a max 3s timeout on loading the dat
+      checkin('searching for dat')
+      archive = await datLibrary.getOrLoadArchive(key)
+    })
+
+    return datLibrary.getDaemon().fs_listConflicts(archive)
+  },
+
+  // - keep: 'folder' | 'archive', which copy of the file to keep
+  async resolveLocalSyncConflict (key, filepath, keep) {
+    key = datLibrary.fromURLToKey(key)
+
+    // load the archive
+    var archive
+    await timer(3e3, async (checkin) => { // put a max 3s timeout on loading the dat
+      checkin('searching for dat')
+      archive = await datLibrary.getOrLoadArchive(key)
+    })
+
+    return datLibrary.getDaemon().fs_resolveConflict(archive, filepath, keep)
+  },
+
+  // sync journal
+  // =
+
+  // - opts: {start, end, limit, offset}, see dbs/folder-sync-journal.js
+  async listLocalSyncJournal (url, opts) {
+    return folderSyncJournalDb.query(datLibrary.fromURLToKey(url), opts)
+  },
+
   // drafts
   // =
 
@@ -296,6 +363,10 @@ module.exports = {
     return datLibrary.clearFileCache(datLibrary.fromURLToKey(url))
   },
 
+  async verify (url, {repair} = {}) {
+    return datLibrary.verifyArchive(datLibrary.fromURLToKey(url), {repair: !!repair})
+  },
+
   async clearGarbage ({isOwner} = {}) {
     return datGC.collect({olderThan: 0, biggerThan: 0, isOwner})
   },
@@ -304,6 +375,63 @@ module.exports = {
     datDns.flushCache()
   },
 
+  async listDnsCache () {
+    return datDns.listCache()
+  },
+
+  async refreshDnsCacheEntry (name) {
+    return datDns.refreshCacheEntry(name)
+  },
+
+  async evictDnsCacheEntry (name) {
+    datDns.evictCacheEntry(name)
+  },
+
+  // dns key trust
+  // =
+
+  async getDnsTrustedKey (name) {
+    return datDns.getTrustedKey(name)
+  },
+
+  async acceptDnsKeyChange (name, key) {
+    return datDns.acceptKeyChange(name, key)
+  },
+
+  async rejectDnsKeyChange (name, key) {
+    return datDns.rejectKeyChange(name, key)
+  },
+
+  // peer filters
+  // =
+  // (without a url, the global filters are used)
+
+  async getPeerFilters (url) {
+    return peerFiltersDb.get(0, url ? datLibrary.fromURLToKey(url) : '*')
+  },
+
+  async listPeerFilters () {
+    return peerFiltersDb.list(0)
+  },
+
+  async setPeerFilters (url, filters) {
+    return peerFiltersDb.set(0, url ? datLibrary.fromURLToKey(url) : '*', filters)
+  },
+
+  // network stats
+  // =
+  // (ranges are {start, end} timestamps, and default to the last 7 days)
+
+  async getNetworkStats (url, range) {
+    return networkStatsDb.query(datLibrary.fromURLToKey(url), range)
+  },
+
+  async listNetworkStats (range) {
+    var summaries = await networkStatsDb.summarize(range)
+    summaries.forEach(s => { s.url = `dat://${s.key}` })
+    return summaries
+  },
+
   // events
   // =
 
@@ -8,24 +8,27 @@ const pick = require('lodash.pick')
 const datDns = require('../../dat/dns')
 const datLibrary = require('../../dat/library')
 const archivesDb = require('../../dbs/archives')
+const {
+  assertUnprotectedFilePath,
+  assertWritePermission,
+  assertQuotaPermission,
+  assertValidFilePath,
+  assertValidPath,
+  lookupUrlDatKey
+} = require('../../dat/write-permissions')
 const {timer} = require('../../lib/time')
 const scopedFSes = require('../../lib/scoped-fses')
+const symlinks = require('../../lib/symlinks')
 const {
-  DAT_MANIFEST_FILENAME,
   DAT_CONFIGURABLE_FIELDS,
   DAT_HASH_REGEX,
-  DAT_QUOTA_DEFAULT_BYTES_ALLOWED,
-  DAT_VALID_PATH_REGEX,
   DEFAULT_DAT_API_TIMEOUT
 } = require('../../lib/const')
 const {
   PermissionsError,
   UserDeniedError,
-  QuotaExceededError,
   ArchiveNotWritableError,
-  InvalidURLError,
-  ProtectedFileNotWritableError,
-  InvalidPathError
+  InvalidURLError
 } = require('beaker-error-constants')
 
 // exported api
@@ -72,7 +75,7 @@ module.exports = {
       try {
         let archive = datLibrary.getArchive(newArchiveKey)
         let templatePath = path.join(globals.templatesPath, template)
-        await pda.exportFilesystemToArchive({
+        await symlinks.exportFilesystemToArchive({
           srcPath: templatePath,
           dstArchive: archive,
           dstPath: '/',
@@ -138,6 +141,7 @@ module.exports = {
       return Promise.reject(new InvalidURLError())
     }
     url = await datDns.resolveName(url)
+    await datLibrary.markArchiveInUse(url)
     await datLibrary.getOrLoadArchive(url)
     return Promise.resolve(true)
   },
@@ -267,7 +271,7 @@ module.exports = {
       checkin('looking up archive')
       const {checkoutFS} = await lookupArchive(this.sender, url, opts)
       checkin('stating file')
-      return checkoutFS.pda.stat(filepath)
+      return symlinks.addLinkname(checkoutFS, filepath, await checkoutFS.pda.stat(filepath))
     })
   },
 
@@ -381,9 +385,10 @@ module.exports = {
       var names = await checkoutFS.pda.readdir(filepath, opts)
       if (opts.stat) {
         for (let i = 0; i < names.length; i++) {
+          let entryPath = path.join(filepath, names[i])
           names[i] = {
             name: names[i],
-            stat: await checkoutFS.pda.stat(path.join(filepath, names[i]))
+            stat: await symlinks.addLinkname(checkoutFS, entryPath, await checkoutFS.pda.stat(entryPath))
           }
         }
       }
@@ -489,12 +494,13 @@ module.exports = {
     assertTmpBeakerOnly(this.sender)
     var {checkoutFS, filepath, isHistoric} = await lookupArchive(this.sender, opts.dst, opts)
     if (isHistoric) throw new ArchiveNotWritableError('Cannot modify a historic version')
-    return pda.exportFilesystemToArchive({
+    return symlinks.exportFilesystemToArchive({
       srcPath: opts.src,
       dstArchive: checkoutFS,
       dstPath: filepath,
       ignore: opts.ignore,
-      inplaceImport: opts.inplaceImport !== false
+      inplaceImport: opts.inplaceImport !== false,
+      allowEscapingLinks: opts.allowEscapingLinks === true
     })
   },
 
@@ -507,13 +513,14 @@ module.exports = {
     // }
 
     var {checkoutFS, filepath} = await lookupArchive(this.sender, opts.src, opts)
-    return pda.exportArchiveToFilesystem({
+    return symlinks.exportArchiveToFilesystem({
       srcArchive: checkoutFS,
       srcPath: filepath,
       dstPath: opts.dst,
       ignore: opts.ignore,
       overwriteExisting: opts.overwriteExisting,
-      skipUndownloadedFiles: opts.skipUndownloadedFiles !== false
+      skipUndownloadedFiles: opts.skipUndownloadedFiles !== false,
+      allowEscapingLinks: opts.allowEscapingLinks === true
     })
   },
 
@@ -536,16 +543,6 @@ module.exports = {
 // internal helpers
 // =
 
-// helper to check if filepath refers to a file that userland is not allowed to edit directly
-function assertUnprotectedFilePath (filepath, sender) {
-  if (sender.getURL().startsWith('beaker:')) {
-    return // can write any file
-  }
-  if (filepath === '/' + DAT_MANIFEST_FILENAME) {
-    throw new ProtectedFileNotWritableError()
-  }
-}
-
 // temporary helper to make sure the call is made by a beaker: page
 function assertTmpBeakerOnly (sender) {
   if (!sender.getURL().startsWith('beaker:')) {
@@ -566,42 +563,6 @@ async function assertCreateArchivePermission (sender) {
   }
 }
 
-async function assertWritePermission (archive, sender) {
-  var archiveKey = archive.key.toString('hex')
-  var details = await datLibrary.getArchiveInfo(archiveKey)
-  const perm = ('modifyDat:' + archiveKey)
-
-  // ensure we have the archive's private key
-  if (!archive.writable) {
-    throw new ArchiveNotWritableError()
-  }
-
-  // ensure we havent deleted the archive
-  if (!details.userSettings.isSaved) {
-    throw new ArchiveNotWritableError('This archive has been deleted. Restore it to continue making changes.')
-  }
-
-  // beaker: always allowed
-  if (sender.getURL().startsWith('beaker:')) {
-    return true
-  }
-
-  // self-modification ALWAYS allowed
-  var senderDatKey = await lookupUrlDatKey(sender.getURL())
-  if (senderDatKey === archiveKey) {
-    return true
-  }
-
-  // ensure the sender is allowed to write
-  var allowed = await globals.permsAPI.queryPermission(perm, sender)
-  if (allowed) return true
-
-  // ask the user
-  allowed = await globals.permsAPI.requestPermission(perm, sender, { title: details.title })
-  if (!allowed) throw new UserDeniedError()
-  return true
-}
-
 async function assertDeleteArchivePermission (archive, sender) {
   var archiveKey = archive.key.toString('hex')
   const perm = ('deleteDat:' + archiveKey)
@@ -634,41 +595,6 @@ async function assertArchiveDeletable (archive) {
   // }
 }
 
-async function assertQuotaPermission (archive, senderOrigin, byteLength) {
-  // beaker: always allowed
-  if (senderOrigin.startsWith('beaker:')) {
-    return
-  }
-
-  // fetch the archive settings
-  const userSettings = archivesDb.getUserSettings(0, archive.key)
-
-  // fallback to default quota
-  var bytesAllowed = userSettings.bytesAllowed || DAT_QUOTA_DEFAULT_BYTES_ALLOWED
-
-  // update the archive size
-  var size = await datLibrary.updateSizeTracking(archive)
-
-  // check the new size
-  var newSize = (size + byteLength)
-  if (newSize > bytesAllowed) {
-    throw new QuotaExceededError()
-  }
-}
-
-function assertValidFilePath (filepath) {
-  if (filepath.slice(-1) === '/') {
-    throw new InvalidPathError('Files can not have a trailing slash')
-  }
-  assertValidPath(filepath)
-}
-
-function assertValidPath (fileOrFolderPath) {
-  if (!DAT_VALID_PATH_REGEX.test(fileOrFolderPath)) {
-    throw new InvalidPathError('Path contains invalid characters')
-  }
-}
-
 // async function assertSenderIsFocused (sender) {
 //   if (!sender.isFocused()) {
 //     throw new UserDeniedError('Application must be focused to spawn a prompt')
@@ -728,7 +654,12 @@ async function lookupArchive (sender, url, opts = {}) {
   // lookup the archive
   var {archiveKey, filepath, version} = await parseUrlParts(url)
   var archive = datLibrary.getArchive(archiveKey)
-  if (!archive) archive = await datLibrary.loadArchive(archiveKey)
+  if (!archive) {
+    await datLibrary.markArchiveInUse(archiveKey) // (before the load, so that it joins the swarm)
+    archive = await datLibrary.loadArchive(archiveKey)
+  } else {
+    datLibrary.markArchiveInUse(archiveKey)
+  }
 
   // get specific checkout
   var {checkoutFS, isHistoric, isPreview} = datLibrary.getArchiveCheckout(archive, version)
@@ -736,19 +667,6 @@ async function lookupArchive (sender, url, opts = {}) {
   return {archive, filepath, version, isHistoric, isPreview, checkoutFS}
 }
 
-async function lookupUrlDatKey (url) {
-  if (url.startsWith('dat://') === false) {
-    return false // not a dat site
-  }
-
-  var urlp = parseDatURL(url)
-  try {
-    return await datDns.resolveName(urlp.hostname)
-  } catch (e) {
-    return false
-  }
-}
-
 function massageHistoryObj ({name, version, type}) {
   return {path: name, version, type}
 }
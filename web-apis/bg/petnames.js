@@ -0,0 +1,23 @@
+const petnamesDb = require('../../dbs/petnames')
+const datLibrary = require('../../dat/library')
+
+// exported api
+// =
+
+module.exports = {
+  async add (name, url) {
+    return petnamesDb.add(0, name, datLibrary.fromURLToKey(url))
+  },
+
+  async list () {
+    return petnamesDb.list(0)
+  },
+
+  async rename (name, newName) {
+    return petnamesDb.rename(0, name, newName)
+  },
+
+  async remove (name) {
+    return petnamesDb.remove(0, name)
+  }
+}
@@ -6,6 +6,7 @@ const beakerBrowserManifest = require('../manifests/internal/browser')
 const bookmarksManifest = require('../manifests/internal/bookmarks')
 const downloadsManifest = require('../manifests/internal/downloads')
 const historyManifest = require('../manifests/internal/history')
+const petnamesManifest = require('../manifests/internal/petnames')
 const sitedataManifest = require('../manifests/internal/sitedata')
 const watchlistManifest = require('../manifests/internal/watchlist')
 
@@ -20,6 +21,7 @@ exports.setup = function (rpc) {
     const bookmarksRPC = rpc.importAPI('bookmarks', bookmarksManifest, opts)
     const downloadsRPC = rpc.importAPI('downloads', downloadsManifest, opts)
     const historyRPC = rpc.importAPI('history', historyManifest, opts)
+    const petnamesRPC = rpc.importAPI('petnames', petnamesManifest, opts)
     const sitedataRPC = rpc.importAPI('sitedata', sitedataManifest, opts)
     const watchlistRPC = rpc.importAPI('watchlist', watchlistManifest, opts)
 
@@ -34,11 +36,17 @@ exports.setup = function (rpc) {
     beaker.archives.list = archivesRPC.list
     beaker.archives.validateLocalSyncPath = archivesRPC.validateLocalSyncPath
     beaker.archives.setLocalSyncPath = archivesRPC.setLocalSyncPath
+    beaker.archives.pauseLocalSync = archivesRPC.pauseLocalSync
+    beaker.archives.resumeLocalSync = archivesRPC.resumeLocalSync
     beaker.archives.ensureLocalSyncFinished = archivesRPC.ensureLocalSyncFinished
     beaker.archives.diffLocalSyncPathListing = archivesRPC.diffLocalSyncPathListing
     beaker.archives.diffLocalSyncPathFile = archivesRPC.diffLocalSyncPathFile
+    beaker.archives.explainLocalSyncIgnore = archivesRPC.explainLocalSyncIgnore
     beaker.archives.publishLocalSyncPathListing = archivesRPC.publishLocalSyncPathListing
     beaker.archives.revertLocalSyncPathListing = archivesRPC.revertLocalSyncPathListing
+    beaker.archives.listLocalSyncConflicts = archivesRPC.listLocalSyncConflicts
+    beaker.archives.resolveLocalSyncConflict = archivesRPC.resolveLocalSyncConflict
+    beaker.archives.listLocalSyncJournal = archivesRPC.listLocalSyncJournal
     beaker.archives.getDraftInfo = archivesRPC.getDraftInfo
     beaker.archives.listDrafts = archivesRPC.listDrafts
     beaker.archives.addDraft = archivesRPC.addDraft
@@ -49,8 +57,20 @@ exports.setup = function (rpc) {
     beaker.archives.removeTemplate = archivesRPC.removeTemplate
     beaker.archives.touch = archivesRPC.touch
     beaker.archives.clearFileCache = archivesRPC.clearFileCache
+    beaker.archives.verify = archivesRPC.verify
     beaker.archives.clearGarbage = archivesRPC.clearGarbage
     beaker.archives.clearDnsCache = archivesRPC.clearDnsCache
+    beaker.archives.listDnsCache = archivesRPC.listDnsCache
+    beaker.archives.refreshDnsCacheEntry = archivesRPC.refreshDnsCacheEntry
+    beaker.archives.evictDnsCacheEntry = archivesRPC.evictDnsCacheEntry
+    beaker.archives.getDnsTrustedKey = archivesRPC.getDnsTrustedKey
+    beaker.archives.acceptDnsKeyChange = archivesRPC.acceptDnsKeyChange
+    beaker.archives.rejectDnsKeyChange = archivesRPC.rejectDnsKeyChange
+    beaker.archives.getPeerFilters = archivesRPC.getPeerFilters
+    beaker.archives.listPeerFilters = archivesRPC.listPeerFilters
+    beaker.archives.setPeerFilters = archivesRPC.setPeerFilters
+    beaker.archives.getNetworkStats = archivesRPC.getNetworkStats
+    beaker.archives.listNetworkStats = archivesRPC.listNetworkStats
     beaker.archives.getDebugLog = archivesRPC.getDebugLog
     beaker.archives.createDebugStream = () => fromEventStream(archivesRPC.createDebugStream())
     window.addEventListener('load', () => {
@@ -129,6 +149,13 @@ exports.setup = function (rpc) {
     beaker.history.removeAllVisits = historyRPC.removeAllVisits
     beaker.history.removeVisitsAfter = historyRPC.removeVisitsAfter
 
+    // beaker.petnames
+    beaker.petnames = {}
+    beaker.petnames.add = petnamesRPC.add
+    beaker.petnames.list = petnamesRPC.list
+    beaker.petnames.rename = petnamesRPC.rename
+    beaker.petnames.remove = petnamesRPC.remove
+
     // beaker.sitedata
     beaker.sitedata = {}
     beaker.sitedata.get = sitedataRPC.get
@@ -26,6 +26,7 @@ exports.setupAndExpose = function (rpc) {
     this.linkname = data ? data.linkname : null
   }
 
+  Stat.IFMT = 61440 // 0b1111...
   Stat.IFSOCK = 49152 // 0b1100...
   Stat.IFLNK = 40960 // 0b1010...
   Stat.IFREG = 32768 // 0b1000...
@@ -42,9 +43,10 @@ exports.setupAndExpose = function (rpc) {
   Stat.prototype.isCharacterDevice = check(Stat.IFCHR)
   Stat.prototype.isFIFO = check(Stat.IFIFO)
 
+  // (compares the whole file type, as symlinks are stored with a mode which includes the IFREG bits)
   function check (mask) {
     return function () {
-      return (mask & this.mode) === mask
+      return (this.mode & Stat.IFMT) === mask
     }
   }
 
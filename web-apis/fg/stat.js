@@ -1,5 +1,6 @@
 // http://man7.org/linux/man-pages/man2/stat.2.html
 // mirrored from hyperdrive/lib/stat.js
+// - linkname is the target of a symlink (see lib/symlinks.js)
 
 const Stat = module.exports = function Stat (data) {
   if (!(this instanceof Stat)) return new Stat(data)
@@ -26,6 +27,7 @@ const Stat = module.exports = function Stat (data) {
   this.linkname = data ? data.linkname : null
 }
 
+Stat.IFMT = 61440 // 0b1111...
 Stat.IFSOCK = 49152 // 0b1100...
 Stat.IFLNK = 40960 // 0b1010...
 Stat.IFREG = 32768 // 0b1000...
@@ -42,8 +44,9 @@ Stat.prototype.isDirectory = check(Stat.IFDIR)
 Stat.prototype.isCharacterDevice = check(Stat.IFCHR)
 Stat.prototype.isFIFO = check(Stat.IFIFO)
 
+// (compares the whole file type, as symlinks are stored with a mode which includes the IFREG bits)
 function check (mask) {
   return function () {
-    return (mask & this.mode) === mask
+    return (this.mode & Stat.IFMT) === mask
   }
 }
@@ -13,14 +13,24 @@ module.exports = {
   // folder sync
   validateLocalSyncPath: 'promise',
   setLocalSyncPath: 'promise',
+  pauseLocalSync: 'promise',
+  resumeLocalSync: 'promise',
   ensureLocalSyncFinished: 'promise',
 
   // diff & publish
   diffLocalSyncPathListing: 'promise',
   diffLocalSyncPathFile: 'promise',
+  explainLocalSyncIgnore: 'promise',
   publishLocalSyncPathListing: 'promise',
   revertLocalSyncPathListing: 'promise',
 
+  // sync conflicts
+  listLocalSyncConflicts: 'promise',
+  resolveLocalSyncConflict: 'promise',
+
+  // sync journal
+  listLocalSyncJournal: 'promise',
+
   // drafts
   getDraftInfo: 'promise',
   listDrafts: 'promise',
@@ -36,8 +46,26 @@ module.exports = {
   // internal management
   touch: 'promise',
   clearFileCache: 'promise',
+  verify: 'promise',
   clearGarbage: 'promise',
   clearDnsCache: 'promise',
+  listDnsCache: 'promise',
+  refreshDnsCacheEntry: 'promise',
+  evictDnsCacheEntry: 'promise',
+
+  // dns key trust
+  getDnsTrustedKey: 'promise',
+  acceptDnsKeyChange: 'promise',
+  rejectDnsKeyChange: 'promise',
+
+  // peer filters
+  getPeerFilters: 'promise',
+  listPeerFilters: 'promise',
+  setPeerFilters: 'promise',
+
+  // network stats
+  getNetworkStats: 'promise',
+  listNetworkStats: 'promise',
 
   // events
   createEventStream: 'readable',
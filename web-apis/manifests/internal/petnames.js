@@ -0,0 +1,6 @@
+module.exports = {
+  add: 'promise',
+  list: 'promise',
+  rename: 'promise',
+  remove: 'promise'
+}